@@ -1,5 +1,344 @@
-const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { SlashCommandBuilder, ChannelType, MessageFlags, ActionRowBuilder, AttachmentBuilder, ButtonBuilder, ButtonStyle, embedLength } = require('discord.js');
 const { fireboardSettings } = require('../../config.js');
+const { getLeaderboard, getAuthorStats, searchEntries, getRandomEntry, getAllEntries, getEntriesForMessage, addExclusion, removeExclusion, getExclusions, getNotificationsEnabled, setNotificationsEnabled, getDigest } = require('../../utils/fireboardCrud');
+const { createLeaderboardEmbed, createFireboardStatsEmbed, createEntryListEmbed, createFireboardEmbeds, createDigestEmbed, createBoardRulesEmbed, formatRefreshStatuses } = require('../../utils/embeds');
+const { getTier } = require('../../utils/reactionUtils');
+const { createEntryLink, createMessageLink, parseMessageInput } = require('../../utils/guildUtils');
+const { getFireboardBoards, getFireboardBoard, getDigestSettings } = require('../../utils/configUtils');
+const { isModerator } = require('../../utils/permissionUtils');
+const { serializeEntries } = require('../../utils/exportUtils');
+
+// Subcommands whose replies are visible to the whole channel
+const PUBLIC_SUBCOMMANDS = ['leaderboard', 'stats', 'random'];
+
+// Subcommands (or subcommand groups) only moderators may use
+const MODERATOR_SUBCOMMANDS = ['archive', 'exclude', 'include', 'exclusions', 'remove', 'backfill', 'audit', 'export', 'digest'];
+
+const ARCHIVE_MODES = {
+	delete: 'Delete the post',
+	preserve: 'Keep the post, marked as deleted',
+};
+
+const LEADERBOARD_WINDOWS = {
+	all: { label: 'All Time', days: null },
+	month: { label: 'Past 30 Days', days: 30 },
+	week: { label: 'Past 7 Days', days: 7 },
+};
+
+const PROGRESS_UPDATE_INTERVAL_MS = 5000;
+const INTERACTION_TOKEN_TTL_MS = 14 * 60 * 1000; // A minute short of Discord's 15, for slow edits
+
+const PAGE_SIZE = 5;
+const MAX_EMBEDS_PER_MESSAGE = 10;
+const MAX_EMBED_CHARACTERS = 6000;
+const SESSION_TTL_MS = 15 * 60 * 1000;
+
+// Filters of open search/browse replies, keyed by the interaction that opened them. Kept in memory,
+// so page buttons stop working after a restart or once the session expires.
+const listSessions = new Map();
+
+// Board choices are read from config when commands are deployed
+function getBoardChoices() {
+	return getFireboardBoards().map(board => ({ name: board.name, value: board.id }));
+}
+
+function formatBoardRules(board) {
+	const lines = [
+		`**Channel:** <#${board.channelId}>`,
+		`**Valid Reactions:** ${board.validReactions.join(', ')}`,
+		`**Reaction Threshold:** ${board.threshold}`,
+		`**Author (self) Reactions:** ${board.excludeAuthorReactions ? 'Disabled' : 'Enabled'}`,
+		'Only your earliest valid reaction on a message counts.',
+	];
+
+	const weights = Object.entries(board.emojiWeights).filter(([, weight]) => weight !== 1);
+	if (weights.length > 0) {
+		lines.push(`**Reaction Weights:** ${weights.map(([emoji, weight]) => `${emoji} ×${weight}`).join(', ')}`);
+	}
+
+	const multipliers = Object.entries(board.roleMultipliers);
+	if (multipliers.length > 0) {
+		lines.push(`**Role Multipliers:** ${multipliers.map(([roleId, multiplier]) => `<@&${roleId}> ×${multiplier}`).join(', ')} (highest applies)`);
+	}
+
+	if (board.tiers.length > 0) {
+		const tiers = [...board.tiers].sort((a, b) => a.threshold - b.threshold);
+		lines.push(`**Tiers:** ${tiers.map(tier => `${tier.emoji ?? ''} ${tier.label ?? 'Tier'} (${tier.threshold})`.trim()).join(' → ')}`);
+	}
+	if (board.hallOfFameChannelId) lines.push(`**Hall of Fame:** <#${board.hallOfFameChannelId}>`);
+
+	const rules = board.voterRules;
+	if (rules.ignoreBots) lines.push('• Reactions from bots don\'t count.');
+	if (rules.minAccountAgeDays > 0) lines.push(`• Accounts must be at least ${rules.minAccountAgeDays} days old.`);
+	if (rules.minMemberDays > 0) lines.push(`• Voters must have been in the server for at least ${rules.minMemberDays} days.`);
+	if (rules.requiredRoles.length > 0) lines.push(`• Voters need one of: ${rules.requiredRoles.map(roleId => `<@&${roleId}>`).join(', ')}`);
+	if (rules.excludedRoles.length > 0) lines.push(`• Voters with any of these roles don't count: ${rules.excludedRoles.map(roleId => `<@&${roleId}>`).join(', ')}`);
+	if (rules.blockedUsers.length > 0) lines.push(`• ${rules.blockedUsers.length} blocked ${rules.blockedUsers.length === 1 ? 'user' : 'users'} can't vote.`);
+
+	return lines.join('\n');
+}
+
+// A message can hold 10 embeds with at most 6000 characters between them
+function groupEmbeds(embeds) {
+	const groups = [];
+	let length = 0;
+	for (const embed of embeds) {
+		const current = groups[groups.length - 1];
+		const embedSize = embedLength(embed.data);
+		if (!current || current.length === MAX_EMBEDS_PER_MESSAGE || length + embedSize > MAX_EMBED_CHARACTERS) {
+			groups.push([embed]);
+			length = embedSize;
+		} else {
+			current.push(embed);
+			length += embedSize;
+		}
+	}
+	return groups;
+}
+
+function addFilterOptions(subcommand) {
+	return subcommand
+		.addUserOption(option =>
+			option
+				.setName('author')
+				.setDescription('Only entries by this user.'))
+		.addChannelOption(option =>
+			option
+				.setName('channel')
+				.setDescription('Only entries from this channel.'))
+		.addStringOption(option =>
+			option
+				.setName('board')
+				.setDescription('Only entries on this board.')
+				.addChoices(...getBoardChoices()))
+		.addStringOption(option =>
+			option
+				.setName('emoji')
+				.setDescription('Only entries with this valid reaction.'))
+		.addNumberOption(option =>
+			option
+				.setName('min_count')
+				.setDescription('Only entries with at least this many reactions.')
+				.setMinValue(0))
+		.addStringOption(option =>
+			option
+				.setName('since')
+				.setDescription('Only entries posted on or after this date (YYYY-MM-DD).'))
+		.addStringOption(option =>
+			option
+				.setName('until')
+				.setDescription('Only entries posted before this date (YYYY-MM-DD).'));
+}
+
+function addExclusionTargets(group, verb) {
+	const addReason = subcommand => verb === 'Exclude'
+		? subcommand.addStringOption(option =>
+			option
+				.setName('reason')
+				.setDescription('Why this is being excluded.'))
+		: subcommand;
+	// Excluded messages always come off the boards, channels and users only when asked
+	const addRemovePosts = subcommand => verb === 'Exclude'
+		? subcommand.addBooleanOption(option =>
+			option
+				.setName('remove_posts')
+				.setDescription('Also take down the posts already on the boards.'))
+		: subcommand;
+
+	return group
+		.addSubcommand(subcommand =>
+			addRemovePosts(addReason(subcommand
+				.setName('channel')
+				.setDescription(`${verb} a channel and its threads.`)
+				.addChannelOption(option =>
+					option
+						.setName('channel')
+						.setDescription('The channel.')
+						.setRequired(true)))))
+		.addSubcommand(subcommand =>
+			addRemovePosts(addReason(subcommand
+				.setName('user')
+				.setDescription(`${verb} a user's messages.`)
+				.addUserOption(option =>
+					option
+						.setName('user')
+						.setDescription('The user.')
+						.setRequired(true)))))
+		.addSubcommand(subcommand =>
+			addReason(subcommand
+				.setName('message')
+				.setDescription(`${verb} a single message.`)
+				.addStringOption(option =>
+					option
+						.setName('message')
+						.setDescription('A link to the message, or its ID.')
+						.setRequired(true))));
+}
+
+// Message links also tell us the channel, so the message doesn't have to be searched for
+async function getMessageOption(interaction) {
+	const input = parseMessageInput(interaction.options.getString('message'));
+	if (!input) throw new Error('That isn\'t a message link or ID.');
+
+	if (!input.channelId) {
+		const [entry] = await getEntriesForMessage(input.messageId);
+		input.channelId = entry?.channelId ?? null;
+	}
+	return input;
+}
+
+function formatExclusionTarget(type, targetId) {
+	switch (type) {
+	case 'channel': return `<#${targetId}>`;
+	case 'user': return `<@${targetId}>`;
+	default: return `message ${targetId}`;
+	}
+}
+
+async function handleExclusion(interaction, action, type) {
+	let message;
+	if (type === 'message') {
+		try {
+			message = await getMessageOption(interaction);
+		} catch (error) {
+			return interaction.editReply({ content: `🚫 ${error.message}` });
+		}
+	}
+
+	const targetId = {
+		channel: () => interaction.options.getChannel('channel').id,
+		user: () => interaction.options.getUser('user').id,
+		message: () => message.messageId,
+	}[type]();
+	const target = formatExclusionTarget(type, targetId);
+
+	let content;
+	if (action === 'exclude') {
+		const { exclusion, created } = await addExclusion(type, targetId, interaction.user.id, interaction.options.getString('reason'));
+		if (!exclusion) throw new Error(`Could not exclude ${target}`);
+		content = created ? `Excluded ${target} from the fireboard.` : `${target} is already excluded.`;
+	} else {
+		const removed = await removeExclusion(type, targetId);
+		content = removed ? `${target} is no longer excluded.` : `${target} wasn't excluded.`;
+	}
+
+	// Excluding a message takes it off the boards right away, including it lets it qualify again
+	if (type === 'message') {
+		const statuses = await interaction.client.reactionHandler.fireboard.refreshMessage(message.channelId, targetId, { reconcile: action === 'include' });
+		content += `\n${formatRefreshStatuses(statuses, getFireboardBoards())}`;
+	} else if (action === 'exclude' && interaction.options.getBoolean('remove_posts')) {
+		const removed = await interaction.client.reactionHandler.fireboard.removeExcludedEntries(type, targetId);
+		content += ` Removed ${removed} existing ${removed === 1 ? 'post' : 'posts'}.`;
+	} else if (action === 'exclude') {
+		content += ' Existing posts stay on the boards; run this again with `remove_posts` to take them down.';
+	}
+
+	return interaction.editReply({ content, allowedMentions: { parse: [] } });
+}
+
+function formatBackfillProgress(channel, progress) {
+	const status = progress.finishedAt ? '✅ Finished backfilling' : `⏳ ${progress.resumed ? 'Resumed backfilling' : 'Backfilling'}`;
+	const reached = progress.lastMessageAt ? `, up to <t:${Math.floor(progress.lastMessageAt / 1000)}:f>` : '';
+	return `${status} ${channel} since <t:${Math.floor(progress.since / 1000)}:D>: ${progress.scanned} messages scanned${reached}, ${progress.candidates} candidates, ${progress.added} posts added.`;
+}
+
+function formatAuditReport(report, repair, deleteStrays) {
+	const { board } = report;
+	const postLinks = ids => ids.slice(0, 5).map(id => createMessageLink(board.channelId, id)).join(' ');
+	const line = (count, label, detail = '') => (count > 0 ? `• ${count} ${label}${detail ? ` ${detail}` : ''}` : null);
+
+	const strays = report.orphans.length + report.duplicates.length;
+	const lines = [
+		line(report.orphans.length, 'posts with no entry', postLinks(report.orphans)),
+		line(report.duplicates.length, 'duplicate posts', postLinks(report.duplicates)),
+		line(report.unlinked.length, 'posts not linked to their entry', postLinks(report.unlinked)),
+		line(report.missing.length, 'entries whose post is missing'),
+		line(report.missingChannel.length, 'entries without a channel ID'),
+	].filter(Boolean);
+
+	let summary;
+	if (lines.length === 0) {
+		summary = 'No problems found.';
+	} else if (!repair) {
+		summary = `${lines.join('\n')}\nRun again with \`repair\` to fix these${strays > 0 ? ', and `delete_strays` to delete the stray posts' : ''}.`;
+	} else if (strays > 0 && !deleteStrays) {
+		summary = `${lines.join('\n')}\nAll of the above were repaired except the stray posts, which are only deleted with \`delete_strays\`.`;
+	} else {
+		summary = `${lines.join('\n')}\nAll of the above were repaired.`;
+	}
+
+	// Posts that don't link to an original are left alone, whatever the options
+	const unmapped = line(report.unmapped.length, 'posts that don\'t link to an original message (left in place)', postLinks(report.unmapped));
+	if (unmapped) summary += `\n${unmapped}`;
+	return `__**${board.name}**__ (${report.scanned} posts scanned)\n${summary}`;
+}
+
+function parseDate(value) {
+	if (!value) return null;
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime())) throw new Error(`\`${value}\` is not a valid date, use YYYY-MM-DD.`);
+	return date;
+}
+
+function getFilters(interaction) {
+	return {
+		authorId: interaction.options.getUser('author')?.id,
+		channelId: interaction.options.getChannel('channel')?.id,
+		boardId: interaction.options.getString('board'),
+		emoji: interaction.options.getString('emoji')?.trim(),
+		minCount: interaction.options.getNumber('min_count'),
+		text: interaction.options.getString('text')?.trim(),
+		since: parseDate(interaction.options.getString('since')),
+		until: parseDate(interaction.options.getString('until')),
+	};
+}
+
+function openListSession(interaction, title, filters, sort) {
+	const now = Date.now();
+	for (const [id, session] of listSessions) {
+		if (now - session.createdAt > SESSION_TTL_MS) listSessions.delete(id);
+	}
+
+	listSessions.set(interaction.id, { title, filters, sort, createdAt: now });
+	return interaction.id;
+}
+
+async function renderListPage(sessionId, page) {
+	const { title, filters, sort } = listSessions.get(sessionId);
+	const { rows, count } = await searchEntries(filters, { sort, limit: PAGE_SIZE, offset: page * PAGE_SIZE });
+	const pageCount = Math.ceil(count / PAGE_SIZE);
+
+	const components = pageCount > 1
+		? [new ActionRowBuilder().addComponents(
+			new ButtonBuilder()
+				.setCustomId(`fireboard:page:${sessionId}:${page - 1}`)
+				.setLabel('◀ Previous')
+				.setStyle(ButtonStyle.Secondary)
+				.setDisabled(page === 0),
+			new ButtonBuilder()
+				.setCustomId(`fireboard:page:${sessionId}:${page + 1}`)
+				.setLabel('Next ▶')
+				.setStyle(ButtonStyle.Secondary)
+				.setDisabled(page >= pageCount - 1),
+		)]
+		: [];
+
+	return {
+		embeds: [createEntryListEmbed(title, rows, { page, pageSize: PAGE_SIZE, total: count }, createEntryLink)],
+		components,
+		allowedMentions: { parse: [] },
+	};
+}
+
+function renderEntry(entry) {
+	const board = getFireboardBoard(entry.boardId);
+	if (!board || !entry.snapshot) {
+		return [createEntryListEmbed(`🎲 Random ${board?.name ?? 'Fireboard'} Entry`, [entry], { page: 0, pageSize: 1, total: 1 }, createEntryLink)];
+	}
+
+	const snapshot = { ...entry.snapshot, deletedAt: entry.sourceDeletedAt?.getTime() };
+	return createFireboardEmbeds(snapshot, entry.reactionBreakdown ?? [], board, getTier(board, entry.validReactionCount));
+}
 
 module.exports = {
 	data: new SlashCommandBuilder()
@@ -11,29 +350,236 @@ module.exports = {
 				.setDescription('Refreshes a message\'s status on the fireboard.')
 				.addStringOption(option =>
 					option
-						.setName('message_id')
-						.setDescription('The ID of the message to query.')
+						.setName('message')
+						.setDescription('A link to the message, or its ID.')
 						.setRequired(true)))
 		.addSubcommand(subcommand =>
 			subcommand
 				.setName('reactions')
-				.setDescription('View the current valid reactions to qualify for the fireboard.')),
+				.setDescription('View the rules each board uses to qualify messages.'))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('leaderboard')
+				.setDescription('Shows the authors with the most fireboard entries and reactions.')
+				.addStringOption(option =>
+					option
+						.setName('window')
+						.setDescription('The time window to rank entries from.')
+						.addChoices(
+							{ name: 'All Time', value: 'all' },
+							{ name: 'Past 30 Days', value: 'month' },
+							{ name: 'Past 7 Days', value: 'week' },
+						))
+				.addStringOption(option =>
+					option
+						.setName('board')
+						.setDescription('The board to rank entries from (defaults to all boards).')
+						.addChoices(...getBoardChoices())))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('stats')
+				.setDescription('Shows fireboard stats for a user.')
+				.addUserOption(option =>
+					option
+						.setName('user')
+						.setDescription('The user to show stats for (defaults to you).'))
+				.addStringOption(option =>
+					option
+						.setName('board')
+						.setDescription('The board to show stats for (defaults to all boards).')
+						.addChoices(...getBoardChoices())))
+		.addSubcommand(subcommand =>
+			addFilterOptions(subcommand
+				.setName('search')
+				.setDescription('Searches past fireboard entries.')
+				.addStringOption(option =>
+					option
+						.setName('text')
+						.setDescription('Text the message contains.'))))
+		.addSubcommand(subcommand =>
+			addFilterOptions(subcommand
+				.setName('random')
+				.setDescription('Shows a random past fireboard entry.')
+				.addStringOption(option =>
+					option
+						.setName('text')
+						.setDescription('Text the message contains.'))))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('browse')
+				.setDescription('Pages through past fireboard entries.')
+				.addStringOption(option =>
+					option
+						.setName('board')
+						.setDescription('The board to browse (defaults to all boards).')
+						.addChoices(...getBoardChoices()))
+				.addStringOption(option =>
+					option
+						.setName('sort')
+						.setDescription('How to order entries (defaults to most recent).')
+						.addChoices(
+							{ name: 'Most Recent', value: 'recent' },
+							{ name: 'Most Reactions', value: 'top' },
+						)))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('notifications')
+				.setDescription('Shows or sets whether you\'re told when your messages make a board.')
+				.addStringOption(option =>
+					option
+						.setName('setting')
+						.setDescription('Turn notifications on or off (omit to show your current setting).')
+						.addChoices(
+							{ name: 'On', value: 'on' },
+							{ name: 'Off', value: 'off' },
+						)))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('archive')
+				.setDescription('Shows or sets what happens to a board\'s posts when the original message is deleted.')
+				.addStringOption(option =>
+					option
+						.setName('board')
+						.setDescription('The board to configure.')
+						.setRequired(true)
+						.addChoices(...getBoardChoices()))
+				.addStringOption(option =>
+					option
+						.setName('mode')
+						.setDescription('The new archive mode (omit to show the current one).')
+						.addChoices(...Object.entries(ARCHIVE_MODES).map(([value, name]) => ({ name, value })))))
+		.addSubcommandGroup(group =>
+			addExclusionTargets(group
+				.setName('exclude')
+				.setDescription('Keep a channel, user or message off the fireboard.'), 'Exclude'))
+		.addSubcommandGroup(group =>
+			addExclusionTargets(group
+				.setName('include')
+				.setDescription('Lift an exclusion.'), 'Include'))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('exclusions')
+				.setDescription('Lists excluded channels, users and messages.'))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('backfill')
+				.setDescription('Posts qualifying messages from a channel\'s history, oldest first.')
+				.addChannelOption(option =>
+					option
+						.setName('channel')
+						.setDescription('The channel to backfill.')
+						.addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.PublicThread, ChannelType.PrivateThread, ChannelType.AnnouncementThread)
+						.setRequired(true))
+				.addStringOption(option =>
+					option
+						.setName('since')
+						.setDescription('Start from messages posted on this date (YYYY-MM-DD).')
+						.setRequired(true))
+				.addBooleanOption(option =>
+					option
+						.setName('restart')
+						.setDescription('Start over instead of resuming an interrupted backfill.')))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('audit')
+				.setDescription('Checks board channels against the database for stray, duplicate or missing posts.')
+				.addStringOption(option =>
+					option
+						.setName('board')
+						.setDescription('The board to audit (defaults to all boards).')
+						.addChoices(...getBoardChoices()))
+				.addBooleanOption(option =>
+					option
+						.setName('repair')
+						.setDescription('Fix the problems found.'))
+				.addBooleanOption(option =>
+					option
+						.setName('delete_strays')
+						.setDescription('With repair, also delete posts with no entry and duplicate posts.')))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('export')
+				.setDescription('Exports fireboard entries as a file.')
+				.addStringOption(option =>
+					option
+						.setName('format')
+						.setDescription('The file format (defaults to JSON, which also includes post content).')
+						.addChoices(
+							{ name: 'JSON', value: 'json' },
+							{ name: 'CSV', value: 'csv' },
+						))
+				.addStringOption(option =>
+					option
+						.setName('board')
+						.setDescription('The board to export (defaults to all boards).')
+						.addChoices(...getBoardChoices())))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('digest')
+				.setDescription('Previews the "Best of" digest for any date range.')
+				.addStringOption(option =>
+					option
+						.setName('since')
+						.setDescription('Entries posted on or after this date (YYYY-MM-DD).')
+						.setRequired(true))
+				.addStringOption(option =>
+					option
+						.setName('until')
+						.setDescription('Entries posted before this date (YYYY-MM-DD).')
+						.setRequired(true))
+				.addStringOption(option =>
+					option
+						.setName('board')
+						.setDescription('The board to preview (defaults to all boards).')
+						.addChoices(...getBoardChoices())))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('remove')
+				.setDescription('Takes a message off every board and keeps it from returning.')
+				.addStringOption(option =>
+					option
+						.setName('message')
+						.setDescription('A link to the message to remove, or its ID.')
+						.setRequired(true))
+				.addStringOption(option =>
+					option
+						.setName('reason')
+						.setDescription('Why the message is being removed.'))),
 
 	async execute(interaction) {
-		await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+		const group = interaction.options.getSubcommandGroup();
 		const subcommand = interaction.options.getSubcommand();
 
+		if (MODERATOR_SUBCOMMANDS.includes(group ?? subcommand) && !isModerator(interaction.member)) {
+			return interaction.reply({
+				content: '🚫 You need the Manage Messages permission to use this command.',
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		await interaction.deferReply(PUBLIC_SUBCOMMANDS.includes(subcommand) ? {} : { flags: MessageFlags.Ephemeral });
+
+		if (group === 'exclude' || group === 'include') return handleExclusion(interaction, group, subcommand);
+
 		switch (subcommand) {
 		case 'refresh':
 		{
-			const messageId = interaction.options.getString('message_id');
-			const status = await interaction.client.reactionHandler.fireboard.refreshMessage(null, messageId);
+			let message;
+			try {
+				message = await getMessageOption(interaction);
+			} catch (error) {
+				return interaction.editReply({ content: `🚫 ${error.message}` });
+			}
+
+			const statuses = await interaction.client.reactionHandler.fireboard.refreshMessage(message.channelId, message.messageId, { reconcile: true });
+
 			return interaction.editReply({
-				content: `Message ${messageId} was ${status}.`,
+				content: `Message ${message.messageId} was refreshed.\n${formatRefreshStatuses(statuses, getFireboardBoards())}`,
 				flags: MessageFlags.Ephemeral,
 			});
 		}
 		case 'reactions':
+		{
 			if (!fireboardSettings.enabled) {
 				return interaction.editReply({
 					content: '🚫 Fireboard is currently disabled.',
@@ -41,10 +587,221 @@ module.exports = {
 				});
 			}
 
+			// One embed per board, spread over as many messages as Discord's embed limits need
+			const embeds = getFireboardBoards().map(board => createBoardRulesEmbed(board, formatBoardRules(board)));
+			const [first, ...rest] = groupEmbeds(embeds);
+
+			await interaction.editReply({ embeds: first, allowedMentions: { parse: [] } });
+			for (const embedGroup of rest) {
+				await interaction.followUp({ embeds: embedGroup, allowedMentions: { parse: [] }, flags: MessageFlags.Ephemeral });
+			}
+			return;
+		}
+		case 'leaderboard':
+		{
+			const window = LEADERBOARD_WINDOWS[interaction.options.getString('window') ?? 'all'];
+			const since = window.days ? new Date(Date.now() - window.days * 24 * 60 * 60 * 1000) : null;
+			const board = getFireboardBoard(interaction.options.getString('board'));
+			const { byEntries, byReactions } = await getLeaderboard(since, board?.id);
+
+			return interaction.editReply({
+				embeds: [createLeaderboardEmbed(board?.name ?? 'Fireboard', window.label, byEntries, byReactions)],
+				allowedMentions: { parse: [] },
+			});
+		}
+		case 'stats':
+		{
+			const user = interaction.options.getUser('user') ?? interaction.user;
+			const board = getFireboardBoard(interaction.options.getString('board'));
+			const stats = await getAuthorStats(user.id, board?.id);
+
+			const bestEntryLink = stats ? createEntryLink(stats.bestEntry) : null;
+
+			return interaction.editReply({
+				embeds: [createFireboardStatsEmbed(board?.name ?? 'Fireboard', user, stats, bestEntryLink)],
+				allowedMentions: { parse: [] },
+			});
+		}
+		case 'search':
+		case 'random':
+		{
+			let filters;
+			try {
+				filters = getFilters(interaction);
+			} catch (error) {
+				return interaction.editReply({ content: `🚫 ${error.message}` });
+			}
+
+			if (subcommand === 'search') {
+				const sessionId = openListSession(interaction, '🔍 Fireboard Search Results', filters, 'recent');
+				return interaction.editReply(await renderListPage(sessionId, 0));
+			}
+
+			const entry = await getRandomEntry(filters);
+			if (!entry) return interaction.editReply({ content: 'No fireboard entries match those filters.' });
+
+			return interaction.editReply({
+				content: `🎲 [Original message](${createEntryLink(entry)})`,
+				embeds: renderEntry(entry),
+				allowedMentions: { parse: [] },
+			});
+		}
+		case 'browse':
+		{
+			const board = getFireboardBoard(interaction.options.getString('board'));
+			const sort = interaction.options.getString('sort') ?? 'recent';
+			const title = `📚 ${board?.name ?? 'Fireboard'} Entries (${sort === 'top' ? 'Most Reactions' : 'Most Recent'})`;
+			const sessionId = openListSession(interaction, title, { boardId: board?.id }, sort);
+			return interaction.editReply(await renderListPage(sessionId, 0));
+		}
+		case 'notifications':
+		{
+			const setting = interaction.options.getString('setting');
+			if (setting && !await setNotificationsEnabled(interaction.user.id, setting === 'on')) {
+				throw new Error(`Could not update notification setting for ${interaction.user.id}`);
+			}
+
+			const enabled = await getNotificationsEnabled(interaction.user.id);
+			const channelId = fireboardSettings.notifications?.channelId;
+			const where = channelId ? `with a mention in <#${channelId}>` : 'by DM';
+			return interaction.editReply({
+				content: enabled
+					? `🔔 Notifications are on. You'll be told ${where} when your messages make a board or climb a tier.`
+					: '🔕 Notifications are off. Use `/fireboard notifications on` to be told when your messages make a board.',
+			});
+		}
+		case 'remove':
+			return handleExclusion(interaction, 'exclude', 'message');
+		case 'exclusions':
+		{
+			const exclusions = await getExclusions();
+			const lines = exclusions.map(exclusion =>
+				`• ${formatExclusionTarget(exclusion.type, exclusion.targetId)}${exclusion.reason ? ` - ${exclusion.reason}` : ''}${exclusion.createdBy ? ` (by <@${exclusion.createdBy}>)` : ''}`);
+
+			return interaction.editReply({
+				content: lines.length > 0 ? `**Fireboard exclusions**\n${lines.join('\n')}`.slice(0, 2000) : 'Nothing is excluded from the fireboard.',
+				allowedMentions: { parse: [] },
+			});
+		}
+		case 'backfill':
+		{
+			const fireboard = interaction.client.reactionHandler.fireboard;
+			const channel = interaction.options.getChannel('channel');
+
+			const running = fireboard.getBackfillProgress(channel.id);
+			if (running) return interaction.editReply({ content: formatBackfillProgress(channel, running) });
+
+			let since;
+			try {
+				since = parseDate(interaction.options.getString('since')).getTime();
+			} catch (error) {
+				return interaction.editReply({ content: `🚫 ${error.message}` });
+			}
+
+			// Interaction tokens expire after 15 minutes, so the backfill runs on its own and its reply is only
+			// edited until shortly before then. Runs that take longer report back in the channel instead.
+			const tokenExpiresAt = Date.now() + INTERACTION_TOKEN_TTL_MS;
+			const report = content => (Date.now() < tokenExpiresAt
+				? interaction.editReply({ content })
+				: interaction.channel.send({ content: `${interaction.user} ${content}`, allowedMentions: { users: [interaction.user.id] } }))
+				.catch(error => console.error('Could not report fireboard backfill progress:', error.message));
+
+			await interaction.editReply({ content: `⏳ Starting to backfill ${channel}. Progress is shown here, and the result is posted in this channel if the run takes longer than a few minutes.` });
+
+			let lastUpdate = 0;
+			fireboard.backfill(channel, since, {
+				restart: interaction.options.getBoolean('restart') ?? false,
+				onProgress: current => {
+					if (Date.now() - lastUpdate < PROGRESS_UPDATE_INTERVAL_MS || Date.now() >= tokenExpiresAt) return;
+					lastUpdate = Date.now();
+					report(formatBackfillProgress(channel, current));
+				},
+			})
+				.then(progress => report(formatBackfillProgress(channel, progress)))
+				.catch(error => {
+					console.error(`Fireboard backfill of #${channel.name} failed:`, error);
+					report(`🚫 Backfilling ${channel} failed: ${error.message}. Run the command again to resume.`);
+				});
+			return;
+		}
+		case 'audit':
+		{
+			const repair = interaction.options.getBoolean('repair') ?? false;
+			const deleteStrays = repair && (interaction.options.getBoolean('delete_strays') ?? false);
+			const reports = await interaction.client.reactionHandler.fireboard.audit({
+				boardId: interaction.options.getString('board'),
+				repair,
+				deleteStrays,
+			});
+
+			return interaction.editReply({
+				content: reports.map(report => formatAuditReport(report, repair, deleteStrays)).join('\n\n').slice(0, 2000) || 'No boards to audit.',
+			});
+		}
+		case 'export':
+		{
+			const format = interaction.options.getString('format') ?? 'json';
+			const boardId = interaction.options.getString('board');
+			const entries = (await getAllEntries()).filter(entry => !boardId || entry.boardId === boardId);
+			const fileName = `${boardId ?? 'fireboard'}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+			return interaction.editReply({
+				content: `Exported ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}. Load them into another instance with \`npm run importFireboard -- ${fileName}\`.`,
+				files: [new AttachmentBuilder(Buffer.from(serializeEntries(entries, format)), { name: fileName })],
+			});
+		}
+		case 'digest':
+		{
+			let since, until;
+			try {
+				since = parseDate(interaction.options.getString('since'));
+				until = parseDate(interaction.options.getString('until'));
+			} catch (error) {
+				return interaction.editReply({ content: `🚫 ${error.message}` });
+			}
+
+			const boardId = interaction.options.getString('board');
+			const boards = getFireboardBoards().filter(board => board.enabled && (!boardId || board.id === boardId));
+			const periodLabel = `${since.toISOString().slice(0, 10)} to ${until.toISOString().slice(0, 10)}`;
+
+			const embeds = [];
+			for (const board of boards) {
+				const digest = await getDigest(board.id, since, until, getDigestSettings().topEntries);
+				if (!digest) throw new Error(`Could not build the ${board.name} digest`);
+				embeds.push(createDigestEmbed(board, periodLabel, digest, createEntryLink));
+			}
+
+			return interaction.editReply({ content: '👀 Digest preview, only you can see this.', embeds });
+		}
+		case 'archive':
+		{
+			const fireboard = interaction.client.reactionHandler.fireboard;
+			const board = getFireboardBoard(interaction.options.getString('board'));
+			const mode = interaction.options.getString('mode');
+
+			if (mode) await fireboard.setArchiveMode(board.id, mode);
+
+			const currentMode = fireboard.getArchiveMode(board);
 			return interaction.editReply({
-				content: `**Fireboard Channel:** <#${fireboardSettings.channelId}>\n**Current Valid Reactions:** ${fireboardSettings.validReactions.join(', ')}\n**Reaction Threshold:** ${fireboardSettings.threshold}\n**Author (self) Reactions:** ${fireboardSettings.excludeAuthorReactions ? 'Disabled' : 'Enabled'}`,
+				content: `${mode ? 'Updated' : 'Current'} archive mode for **${board.name}**: ${ARCHIVE_MODES[currentMode]} (\`${currentMode}\`).`,
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		}
+	},
+
+	// Buttons are routed here by events/interactionCreate.js based on the `fireboard:` custom ID prefix
+	async handleComponent(interaction) {
+		const [, action, sessionId, page] = interaction.customId.split(':');
+		if (action !== 'page') return;
+
+		if (!listSessions.has(sessionId)) {
+			return interaction.reply({
+				content: 'This list has expired, run the command again.',
 				flags: MessageFlags.Ephemeral,
 			});
 		}
+
+		return interaction.update(await renderListPage(sessionId, Number(page)));
 	},
-};
\ No newline at end of file
+};
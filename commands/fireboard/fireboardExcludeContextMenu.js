@@ -0,0 +1,34 @@
+const { ContextMenuCommandBuilder, ApplicationCommandType, MessageFlags, PermissionFlagsBits } = require('discord.js');
+const { addExclusion } = require('../../utils/fireboardCrud');
+const { getFireboardBoards } = require('../../utils/configUtils');
+const { formatRefreshStatuses } = require('../../utils/embeds');
+const { isModerator } = require('../../utils/permissionUtils');
+
+module.exports = {
+	data: new ContextMenuCommandBuilder()
+		.setName('Exclude from Fireboard')
+		.setType(ApplicationCommandType.Message)
+		.setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
+
+	async execute(interaction) {
+		if (!isModerator(interaction.member)) {
+			return interaction.reply({
+				content: '🚫 You need the Manage Messages permission to use this command.',
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+		const message = interaction.targetMessage;
+		const { exclusion, created } = await addExclusion('message', message.id, interaction.user.id);
+		if (!exclusion) throw new Error(`Could not exclude message ${message.id}`);
+
+		// Takes the message off the boards right away
+		const statuses = await interaction.client.reactionHandler.fireboard.refreshMessage(message.channelId, message.id);
+
+		return interaction.editReply({
+			content: `${created ? 'Excluded' : 'Already excluded'} ${message.url} from the fireboard. Use \`/fireboard include message\` to undo this.\n${formatRefreshStatuses(statuses, getFireboardBoards())}`,
+		});
+	},
+};
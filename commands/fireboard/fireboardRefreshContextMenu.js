@@ -0,0 +1,20 @@
+const { ContextMenuCommandBuilder, ApplicationCommandType, MessageFlags } = require('discord.js');
+const { getFireboardBoards } = require('../../utils/configUtils');
+const { formatRefreshStatuses } = require('../../utils/embeds');
+
+module.exports = {
+	data: new ContextMenuCommandBuilder()
+		.setName('Refresh on Fireboard')
+		.setType(ApplicationCommandType.Message),
+
+	async execute(interaction) {
+		await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+		const message = interaction.targetMessage;
+		const statuses = await interaction.client.reactionHandler.fireboard.refreshMessage(message.channelId, message.id, { reconcile: true });
+
+		return interaction.editReply({
+			content: `Message ${message.url} was refreshed.\n${formatRefreshStatuses(statuses, getFireboardBoards())}`,
+		});
+	},
+};
@@ -0,0 +1,39 @@
+const { ContextMenuCommandBuilder, ApplicationCommandType, MessageFlags } = require('discord.js');
+const { formatCount } = require('../../utils/embeds');
+const { createMessageLink } = require('../../utils/guildUtils');
+
+function formatBoardStatus({ board, entry, validReactions, total, tier }, exclusion) {
+	const reactions = validReactions
+		.filter(r => r.count > 0)
+		.map(r => `${r.emoji} ${formatCount(r.count)}`)
+		.join(' • ') || 'no valid reactions';
+	const progress = `${reactions} (${formatCount(total)}/${board.threshold})`;
+
+	if (entry) {
+		const tierLabel = tier.level > 0 ? ` at ${[tier.emoji, tier.label].filter(Boolean).join(' ')}` : '';
+		const onBoard = entry.fireboardMessageId ? `[On the board](${createMessageLink(board.channelId, entry.fireboardMessageId)})` : 'On the board (post pending)';
+		return `**${board.name}:** ✅ ${onBoard}${tierLabel} with ${progress}`;
+	}
+	if (exclusion) return `**${board.name}:** 🚫 Excluded (${exclusion.type}) with ${progress}`;
+	return `**${board.name}:** ${total >= board.threshold ? '⏳ Qualifies, waiting for a refresh' : '❌ Not on the board'} with ${progress}`;
+}
+
+module.exports = {
+	data: new ContextMenuCommandBuilder()
+		.setName('Show fireboard status')
+		.setType(ApplicationCommandType.Message),
+
+	async execute(interaction) {
+		await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+		const message = interaction.targetMessage;
+		const { exclusion, boards } = await interaction.client.reactionHandler.fireboard.getMessageStatus(message);
+		const lines = boards.map(status => formatBoardStatus(status, exclusion));
+		if (exclusion?.reason) lines.push(`Exclusion reason: ${exclusion.reason}`);
+
+		return interaction.editReply({
+			content: `Fireboard status of ${message.url}\n${lines.join('\n')}`,
+			allowedMentions: { parse: [] },
+		});
+	},
+};
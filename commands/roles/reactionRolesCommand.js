@@ -0,0 +1,301 @@
+const { SlashCommandBuilder, ChannelType, MessageFlags, PermissionFlagsBits } = require('discord.js');
+const { getPanel, getPanels, getMappings } = require('../../utils/reactionRoleCrud');
+const { canManageRoles } = require('../../utils/permissionUtils');
+const { createMessageLink } = require('../../utils/guildUtils');
+const { getReconcileSettings } = require('../../utils/configUtils');
+const { parseDuration, formatDuration } = require('../../utils/durationUtils');
+
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+const MAX_REPORT_LINES = 15;
+
+const PANEL_STYLES = {
+	reactions: 'Emoji reactions',
+	buttons: 'A button per role',
+	select: 'A role picker menu',
+};
+
+const PANEL_MODES = {
+	normal: 'Normal: pick and unpick roles freely',
+	unique: 'Unique: one role at a time',
+	verify: 'Verify: roles can only be added',
+	drop: 'Drop: roles can only be removed',
+};
+
+function addStyleOption(subcommand, required) {
+	return subcommand.addStringOption(option =>
+		option
+			.setName('style')
+			.setDescription('How members pick roles (defaults to reactions).')
+			.setRequired(required)
+			.addChoices(...Object.entries(PANEL_STYLES).map(([value, name]) => ({ name, value }))));
+}
+
+function addPanelOption(subcommand) {
+	return subcommand.addStringOption(option =>
+		option
+			.setName('panel')
+			.setDescription('The name of the panel.')
+			.setRequired(true)
+			.setAutocomplete(true));
+}
+
+function formatPanelSettings(panel, updated) {
+	return [
+		`${updated ? 'Updated' : 'Current'} settings of the **${panel.name}** panel:`,
+		`**Mode:** ${PANEL_MODES[panel.mode]}`,
+		`**Role limit:** ${panel.mode === 'unique' ? '1 (unique mode)' : panel.maxRoles ?? 'None'}`,
+	].join('\n');
+}
+
+function formatReconcileReport(plans, maxChanges, result = null) {
+	const total = plans.reduce((sum, plan) => sum + plan.changes.length, 0);
+	if (total === 0) return '✅ Everyone\'s roles already match their reactions.';
+
+	const lines = [];
+	let shown = 0;
+	for (const { cached, changes } of plans) {
+		if (changes.length === 0) continue;
+
+		const additions = changes.filter(change => change.action === 'add').length;
+		lines.push(`**${cached.panel.name}**: ${additions} to add, ${changes.length - additions} to remove`);
+		for (const { member, mapping, action } of changes.slice(0, MAX_REPORT_LINES - shown)) {
+			lines.push(`${action === 'add' ? '➕' : '➖'} ${member} ${mapping.emoji} <@&${mapping.roleId}>`);
+			shown++;
+		}
+	}
+	if (total > shown) lines.push(`…and ${total - shown} more.`);
+
+	if (!result) {
+		lines.push('', `This was a dry run. Run it again with \`apply\` to make up to ${maxChanges} of these changes. Roles that need another role, or would go over a panel's limit, aren't given.`);
+	} else {
+		const remaining = total - result.applied - result.failed;
+		lines.push('', `✅ Made ${result.applied} of ${total} changes${result.failed > 0 ? `; ${result.failed} failed (see the logs)` : ''}.${remaining > 0 ? ` Run it again to make the other ${remaining}.` : ''}`);
+	}
+	return lines.join('\n');
+}
+
+async function formatPanelList() {
+	const panels = await getPanels();
+	if (panels.length === 0) return 'There are no reaction role panels yet. Create one with `/reactionroles create`.';
+
+	const lines = [];
+	for (const panel of panels) {
+		const mappings = await getMappings(panel.id);
+		const location = panel.messageId ? createMessageLink(panel.channelId, panel.messageId) : `<#${panel.channelId}>`;
+		const roles = mappings.map(({ emoji, roleId }) => `${emoji} <@&${roleId}>`).join(' ') || '*no roles*';
+		lines.push(`**${panel.name}** (${panel.title}, ${panel.style}, ${panel.mode}) - ${location}\n${roles}`);
+	}
+	return lines.join('\n\n');
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('reactionroles')
+		.setDescription('Manage reaction role panels.')
+		.setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+		.addSubcommand(subcommand =>
+			addStyleOption(subcommand
+				.setName('create')
+				.setDescription('Posts a new, empty reaction role panel.')
+				.addStringOption(option =>
+					option
+						.setName('name')
+						.setDescription('A short name to manage the panel by, e.g. games.')
+						.setRequired(true)
+						.setMaxLength(50))
+				.addChannelOption(option =>
+					option
+						.setName('channel')
+						.setDescription('The channel to post the panel in.')
+						.addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+						.setRequired(true))
+				.addStringOption(option =>
+					option
+						.setName('title')
+						.setDescription('The title shown on the panel (defaults to the name).')
+						.setMaxLength(256))
+				.addStringOption(option =>
+					option
+						.setName('description')
+						.setDescription('Text shown above the roles.')
+						.setMaxLength(1000)), false))
+		.addSubcommand(subcommand =>
+			addPanelOption(subcommand
+				.setName('add')
+				.setDescription('Adds a role to a panel.'))
+				.addStringOption(option =>
+					option
+						.setName('emoji')
+						.setDescription('The emoji members react with.')
+						.setRequired(true))
+				.addRoleOption(option =>
+					option
+						.setName('role')
+						.setDescription('The role the emoji gives.')
+						.setRequired(true))
+				.addStringOption(option =>
+					option
+						.setName('description')
+						.setDescription('Text shown next to the role.')
+						.setMaxLength(100))
+				.addRoleOption(option =>
+					option
+						.setName('requires')
+						.setDescription('A role members must already have to pick this one.'))
+				.addStringOption(option =>
+					option
+						.setName('duration')
+						.setDescription('How long the role lasts once picked, e.g. 6h or 1d12h (lasts forever by default).')
+						.setMaxLength(20)))
+		.addSubcommand(subcommand =>
+			addPanelOption(subcommand
+				.setName('remove')
+				.setDescription('Removes a role from a panel. Members who have it keep it.'))
+				.addRoleOption(option =>
+					option
+						.setName('role')
+						.setDescription('The role to remove.')
+						.setRequired(true)))
+		.addSubcommand(subcommand =>
+			addStyleOption(addPanelOption(subcommand
+				.setName('style')
+				.setDescription('Switches a panel between reactions, buttons and a role picker menu.')), true))
+		.addSubcommand(subcommand =>
+			addPanelOption(subcommand
+				.setName('settings')
+				.setDescription('Shows or changes what picking a role does and how many roles members may have.'))
+				.addStringOption(option =>
+					option
+						.setName('mode')
+						.setDescription('What picking a role does.')
+						.addChoices(...Object.entries(PANEL_MODES).map(([value, name]) => ({ name, value }))))
+				.addIntegerOption(option =>
+					option
+						.setName('max_roles')
+						.setDescription('Most roles from the panel a member may have at once (0 for no limit).')
+						.setMinValue(0)
+						.setMaxValue(20)))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('reconcile')
+				.setDescription('Lists, or with apply makes, role changes so members\' roles match their panel reactions.')
+				.addStringOption(option =>
+					option
+						.setName('panel')
+						.setDescription('Only check this panel.')
+						.setAutocomplete(true))
+				.addBooleanOption(option =>
+					option
+						.setName('apply')
+						.setDescription('Make the changes instead of only listing them.')))
+		.addSubcommand(subcommand =>
+			addPanelOption(subcommand
+				.setName('delete')
+				.setDescription('Deletes a panel and its message. Members keep their roles.')))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('list')
+				.setDescription('Lists every panel and its roles.')),
+
+	async execute(interaction) {
+		if (!canManageRoles(interaction.member)) {
+			return interaction.reply({
+				content: '🚫 You need the Manage Roles permission to use this command.',
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+		const roles = interaction.client.reactionHandler.roles;
+		const subcommand = interaction.options.getSubcommand();
+		const panelName = interaction.options.getString('panel');
+
+		try {
+			switch (subcommand) {
+			case 'create':
+			{
+				const name = interaction.options.getString('name').trim();
+				const channel = interaction.options.getChannel('channel');
+				const title = interaction.options.getString('title') ?? name;
+				const style = interaction.options.getString('style') ?? 'reactions';
+				const message = await roles.createPanel(name, channel, title, interaction.options.getString('description'), style);
+				return interaction.editReply({ content: `✅ Posted the **${name}** panel: ${message.url}\nAdd roles to it with \`/reactionroles add\`.` });
+			}
+			case 'add':
+			{
+				const emoji = interaction.options.getString('emoji').trim();
+				const role = interaction.options.getRole('role');
+				const requiredRole = interaction.options.getRole('requires');
+				const duration = interaction.options.getString('duration');
+				const durationMinutes = duration ? parseDuration(duration) : null;
+				await roles.addRole(panelName, emoji, role, interaction.options.getString('description'), requiredRole, durationMinutes);
+
+				const notes = [];
+				if (requiredRole) notes.push(`requires ${requiredRole}`);
+				if (durationMinutes) notes.push(`lasts ${formatDuration(durationMinutes)}`);
+				return interaction.editReply({
+					content: `✅ Added ${emoji} ${role}${notes.length > 0 ? ` (${notes.join(', ')})` : ''} to the **${panelName}** panel.`,
+					allowedMentions: { parse: [] },
+				});
+			}
+			case 'remove':
+			{
+				const role = interaction.options.getRole('role');
+				await roles.removeRole(panelName, role);
+				return interaction.editReply({ content: `✅ Removed ${role} from the **${panelName}** panel.`, allowedMentions: { parse: [] } });
+			}
+			case 'style':
+			{
+				const style = interaction.options.getString('style');
+				await roles.updateSettings(panelName, { style });
+				return interaction.editReply({ content: `✅ The **${panelName}** panel now uses ${PANEL_STYLES[style].toLowerCase()}.` });
+			}
+			case 'settings':
+			{
+				const mode = interaction.options.getString('mode');
+				const maxRoles = interaction.options.getInteger('max_roles');
+				const updates = {};
+				if (mode) updates.mode = mode;
+				if (maxRoles !== null) updates.maxRoles = maxRoles || null;
+
+				if (Object.keys(updates).length > 0) await roles.updateSettings(panelName, updates);
+				const panel = await getPanel(panelName);
+				if (!panel) throw new Error(`There's no panel named **${panelName}**.`);
+				return interaction.editReply({ content: formatPanelSettings(panel, Object.keys(updates).length > 0) });
+			}
+			case 'reconcile':
+			{
+				const { maxChanges } = getReconcileSettings();
+				const plans = await roles.planReconciliation(panelName);
+				const result = interaction.options.getBoolean('apply') ? await roles.applyReconciliation(plans, maxChanges) : null;
+				return interaction.editReply({ content: formatReconcileReport(plans, maxChanges, result), allowedMentions: { parse: [] } });
+			}
+			case 'delete':
+				await roles.deletePanel(panelName);
+				return interaction.editReply({ content: `✅ Deleted the **${panelName}** panel.` });
+			case 'list':
+				return interaction.editReply({ content: await formatPanelList(), allowedMentions: { parse: [] } });
+			}
+		} catch (error) {
+			return interaction.editReply({ content: `🚫 ${error.message}`, allowedMentions: { parse: [] } });
+		}
+	},
+
+	// Panel buttons and role pickers are for every member, so they skip the Manage Roles check;
+	// routed here by events/interactionCreate.js based on the `reactionroles:` custom ID prefix
+	async handleComponent(interaction) {
+		return interaction.client.reactionHandler.roles.handleComponent(interaction);
+	},
+
+	// Suggests panel names for the `panel` option; routed here by events/interactionCreate.js
+	async autocomplete(interaction) {
+		const typed = interaction.options.getFocused().toLowerCase();
+		const panels = await getPanels();
+
+		return interaction.respond(panels
+			.filter(panel => panel.name.toLowerCase().includes(typed))
+			.slice(0, MAX_AUTOCOMPLETE_CHOICES)
+			.map(panel => ({ name: `${panel.name} (${panel.title})`.slice(0, 100), value: panel.name })));
+	},
+};
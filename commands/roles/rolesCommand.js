@@ -0,0 +1,90 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { getPanel, getPanels, getMappings, getRoleCountSnapshots } = require('../../utils/reactionRoleCrud');
+const { createRoleStatsEmbed } = require('../../utils/embeds');
+const { autocomplete } = require('./reactionRolesCommand');
+
+const DEFAULT_WINDOW_DAYS = 30;
+const MAX_STATS_ROWS = 25;
+const MAX_SERIES_POINTS = 15;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily counts for short windows, and counts every week (or every few weeks) for longer ones
+function getSeriesStepDays(days) {
+	return days < MAX_SERIES_POINTS ? 1 : Math.ceil(days / (MAX_SERIES_POINTS - 1) / 7) * 7;
+}
+
+// Member count of every role on the panels over the window: one count per step, from the latest
+// snapshot taken in that step (null if there's none), ending with the current count. `since` is
+// when the series starts, or null if no counts were saved in the window.
+async function getRoleStats(guild, panels, days) {
+	const mappings = new Map(); // Role ID -> first mapping showing it
+	for (const panel of panels) {
+		for (const mapping of await getMappings(panel.id)) {
+			if (!mappings.has(mapping.roleId) && guild.roles.cache.has(mapping.roleId)) mappings.set(mapping.roleId, mapping);
+		}
+	}
+
+	const now = Date.now();
+	const stepDays = getSeriesStepDays(days);
+	const pointTimes = [];
+	for (let time = now - Math.floor(days / stepDays) * stepDays * DAY_MS; time < now; time += stepDays * DAY_MS) {
+		pointTimes.push(time);
+	}
+
+	const snapshots = await getRoleCountSnapshots([...mappings.keys()], new Date(pointTimes[0] - stepDays * DAY_MS));
+	const rows = [...mappings.values()].map(({ emoji, roleId }) => {
+		const roleSnapshots = snapshots.filter(snapshot => snapshot.roleId === roleId);
+		const count = guild.roles.cache.get(roleId).members.size;
+		const series = pointTimes.map(time => roleSnapshots.findLast(snapshot =>
+			snapshot.takenAt.getTime() <= time && snapshot.takenAt.getTime() > time - stepDays * DAY_MS)?.memberCount ?? null);
+		return { emoji, roleId, count, series };
+	});
+
+	// Steps from before the first snapshot of any role (e.g. before the bot was updated) are left out
+	const firstIndex = Math.min(pointTimes.length, ...rows.map(row => row.series.findIndex(point => point !== null)).filter(index => index >= 0));
+	for (const row of rows) row.series = [...row.series.slice(firstIndex), row.count];
+
+	const growth = row => row.count - row.series.find(point => point !== null);
+	rows.sort((a, b) => growth(b) - growth(a) || b.count - a.count);
+	return { rows: rows.slice(0, MAX_STATS_ROWS), since: pointTimes[firstIndex] ? new Date(pointTimes[firstIndex]) : null, stepDays };
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('roles')
+		.setDescription('Information about the roles on the role panels.')
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('stats')
+				.setDescription('Shows how many members have each panel role and how that changed.')
+				.addStringOption(option =>
+					option
+						.setName('panel')
+						.setDescription('Only show the roles on this panel.')
+						.setAutocomplete(true))
+				.addIntegerOption(option =>
+					option
+						.setName('days')
+						.setDescription(`How many days of history to show (defaults to ${DEFAULT_WINDOW_DAYS}).`)
+						.setMinValue(1)
+						.setMaxValue(365))),
+
+	async execute(interaction) {
+		const panelName = interaction.options.getString('panel');
+		const days = interaction.options.getInteger('days') ?? DEFAULT_WINDOW_DAYS;
+
+		const panel = panelName ? await getPanel(panelName) : null;
+		if (panelName && !panel) {
+			return interaction.reply({ content: `🚫 There's no panel named **${panelName}**.`, flags: MessageFlags.Ephemeral });
+		}
+
+		const { rows, since, stepDays } = await getRoleStats(interaction.guild, panel ? [panel] : await getPanels(), days);
+		return interaction.reply({
+			embeds: [createRoleStatsEmbed(panel ? `${panel.title} Roles` : 'Panel Roles', rows, since, stepDays)],
+			allowedMentions: { parse: [] },
+		});
+	},
+
+	// Same panel name suggestions as /reactionroles
+	autocomplete,
+};
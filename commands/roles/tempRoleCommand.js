@@ -0,0 +1,82 @@
+const { SlashCommandBuilder, MessageFlags, PermissionFlagsBits } = require('discord.js');
+const { getTemporaryRoles } = require('../../utils/temporaryRoleCrud');
+const { canManageRoles } = require('../../utils/permissionUtils');
+const { parseDuration } = require('../../utils/durationUtils');
+
+const MAX_LIST_LINES = 25;
+
+function formatExpiry(expiresAt) {
+	const timestamp = Math.floor(expiresAt.getTime() / 1000);
+	return `<t:${timestamp}:f> (<t:${timestamp}:R>)`;
+}
+
+async function formatTemporaryRoleList() {
+	const temporaryRoles = await getTemporaryRoles();
+	if (temporaryRoles.length === 0) return 'Nobody has a temporary role right now.';
+
+	const lines = temporaryRoles.slice(0, MAX_LIST_LINES).map(({ userId, roleId, expiresAt, panelId }) =>
+		`<@${userId}> <@&${roleId}> until ${formatExpiry(expiresAt)}${panelId ? ' (from a panel)' : ''}`);
+	if (temporaryRoles.length > MAX_LIST_LINES) lines.push(`…and ${temporaryRoles.length - MAX_LIST_LINES} more.`);
+	return lines.join('\n');
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('temprole')
+		.setDescription('Manage roles that are taken away again after a while.')
+		.setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('give')
+				.setDescription('Gives a member a role for a limited time.')
+				.addUserOption(option =>
+					option
+						.setName('user')
+						.setDescription('The member to give the role to.')
+						.setRequired(true))
+				.addRoleOption(option =>
+					option
+						.setName('role')
+						.setDescription('The role to give.')
+						.setRequired(true))
+				.addStringOption(option =>
+					option
+						.setName('duration')
+						.setDescription('How long the member keeps the role, e.g. 30m, 6h, 1d12h or 2w.')
+						.setRequired(true)
+						.setMaxLength(20)))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('list')
+				.setDescription('Lists every temporary role and when it runs out.')),
+
+	async execute(interaction) {
+		if (!canManageRoles(interaction.member)) {
+			return interaction.reply({
+				content: '🚫 You need the Manage Roles permission to use this command.',
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+		try {
+			switch (interaction.options.getSubcommand()) {
+			case 'give':
+			{
+				const member = interaction.options.getMember('user');
+				if (!member) throw new Error('That user isn\'t a member of this server.');
+
+				const role = interaction.options.getRole('role');
+				const durationMinutes = parseDuration(interaction.options.getString('duration'));
+				const expiresAt = await interaction.client.reactionHandler.roles.giveTemporaryRole(member, role, durationMinutes);
+				return interaction.editReply({ content: `✅ Gave ${member} ${role} until ${formatExpiry(expiresAt)}.`, allowedMentions: { parse: [] } });
+			}
+			case 'list':
+				return interaction.editReply({ content: await formatTemporaryRoleList(), allowedMentions: { parse: [] } });
+			}
+		} catch (error) {
+			return interaction.editReply({ content: `🚫 ${error.message}`, allowedMentions: { parse: [] } });
+		}
+	},
+};
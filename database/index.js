@@ -10,6 +10,14 @@ const sequelize = new Sequelize({
 
 // Import models
 const FireboardEntry = require('./models/FireboardEntry')(sequelize);
+const FireboardReaction = require('./models/FireboardReaction')(sequelize);
+const BotState = require('./models/BotState')(sequelize);
+const FireboardExclusion = require('./models/FireboardExclusion')(sequelize);
+const FireboardNotificationSetting = require('./models/FireboardNotificationSetting')(sequelize);
+const ReactionRolePanel = require('./models/ReactionRolePanel')(sequelize);
+const ReactionRoleMapping = require('./models/ReactionRoleMapping')(sequelize);
+const TemporaryRole = require('./models/TemporaryRole')(sequelize);
+const RoleCountSnapshot = require('./models/RoleCountSnapshot')(sequelize);
 
 // Test the connection
 async function testConnection() {
@@ -21,10 +29,76 @@ async function testConnection() {
 	}
 }
 
-// Initialize database and create tables
-async function initializeDatabase() {
+// Databases created before multiple boards have messageId as a column-level UNIQUE constraint,
+// which sync({ alter: true }) leaves in place on SQLite and which stops a message from being
+// posted to a second board. SQLite can't drop such a constraint, so the table is rebuilt.
+async function migrateFireboardEntries() {
+	const queryInterface = sequelize.getQueryInterface();
+	const tableName = FireboardEntry.getTableName();
+	const backupName = `${tableName}_backup`;
+	if (await queryInterface.tableExists(backupName)) await recoverFireboardEntriesBackup(tableName, backupName);
+	if (!await queryInterface.tableExists(tableName)) return;
+
+	const [indexes] = await sequelize.query(`PRAGMA index_list(\`${tableName}\`)`);
+	let hasUniqueMessageId = false;
+	for (const index of indexes.filter(({ unique }) => unique)) {
+		const [indexColumns] = await sequelize.query(`PRAGMA index_info(\`${index.name}\`)`);
+		if (indexColumns.length === 1 && indexColumns[0].name === 'messageId') hasUniqueMessageId = true;
+	}
+	if (!hasUniqueMessageId) return;
+
+	console.log(`Rebuilding ${tableName} to drop the unique constraint on messageId`);
+	const columns = Object.keys(await queryInterface.describeTable(tableName))
+		.filter(column => FireboardEntry.rawAttributes[column]);
+
+	// If any step fails, the table is left as it was
+	await sequelize.transaction(async transaction => {
+		// Index names are global in SQLite, so the old ones have to go before the new table is created
+		for (const index of indexes.filter(({ origin }) => origin === 'c')) {
+			await queryInterface.removeIndex(tableName, index.name, { transaction });
+		}
+		await queryInterface.renameTable(tableName, backupName, { transaction });
+		await FireboardEntry.sync({ transaction });
+		const columnList = columns.map(column => `\`${column}\``).join(', ');
+		await sequelize.query(`INSERT INTO \`${tableName}\` (${columnList}) SELECT ${columnList} FROM \`${backupName}\``, { transaction });
+		await queryInterface.dropTable(backupName, { transaction });
+	});
+}
+
+// Rebuilds from before they ran in a transaction could stop halfway and leave the entries in the
+// backup table. Without the new table, the backup is put back and rebuilt again. Otherwise the new
+// table may already hold entries added since, so the backup's other entries are copied into it.
+async function recoverFireboardEntriesBackup(tableName, backupName) {
+	const queryInterface = sequelize.getQueryInterface();
+	console.log(`Recovering ${tableName} from an interrupted rebuild`);
+
+	await sequelize.transaction(async transaction => {
+		if (!await queryInterface.tableExists(tableName, { transaction })) {
+			await queryInterface.renameTable(backupName, tableName, { transaction });
+			return;
+		}
+
+		// IDs may clash with entries added since, so the copies get new ones
+		const backupColumns = Object.keys(await queryInterface.describeTable(backupName, { transaction }));
+		const columns = backupColumns.filter(column => column !== 'id' && FireboardEntry.rawAttributes[column]);
+		const columnList = columns.map(column => `\`${column}\``).join(', ');
+		const backupBoardId = backupColumns.includes('boardId')
+			? 'backup.`boardId`'
+			: sequelize.escape(FireboardEntry.rawAttributes.boardId.defaultValue);
+		await sequelize.query(`INSERT OR IGNORE INTO \`${tableName}\` (${columnList})
+			SELECT ${columns.map(column => `backup.\`${column}\``).join(', ')} FROM \`${backupName}\` AS backup
+			WHERE NOT EXISTS (SELECT 1 FROM \`${tableName}\` AS entry WHERE entry.\`messageId\` = backup.\`messageId\` AND entry.\`boardId\` = ${backupBoardId})`, { transaction });
+		await queryInterface.dropTable(backupName, { transaction });
+	});
+}
+
+// Initialize database and create tables. `readOnly` only connects, leaving the schema as it is.
+async function initializeDatabase({ readOnly = false } = {}) {
 	try {
 		await testConnection();
+		if (readOnly) return;
+
+		await migrateFireboardEntries();
 		await sequelize.sync({ alter: true }); // Use alter to add new columns
 		console.log('Database tables created successfully.');
 	} catch (error) {
@@ -35,5 +109,13 @@ async function initializeDatabase() {
 module.exports = {
 	sequelize,
 	FireboardEntry,
+	FireboardReaction,
+	BotState,
+	FireboardExclusion,
+	FireboardNotificationSetting,
+	ReactionRolePanel,
+	ReactionRoleMapping,
+	TemporaryRole,
+	RoleCountSnapshot,
 	initializeDatabase,
 };
@@ -0,0 +1,21 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const BotState = sequelize.define('BotState', {
+		key: {
+			type: DataTypes.STRING,
+			primaryKey: true,
+			comment: 'Name of the stored value, namespaced by feature (e.g. fireboard.lastOnline)',
+		},
+		value: {
+			type: DataTypes.JSON,
+			allowNull: true,
+			comment: 'JSON-encoded value',
+		},
+	}, {
+		tableName: 'bot_state',
+		timestamps: true, // Adds createdAt and updatedAt
+	});
+
+	return BotState;
+};
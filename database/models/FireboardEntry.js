@@ -7,10 +7,15 @@ module.exports = (sequelize) => {
 			primaryKey: true,
 			autoIncrement: true,
 		},
+		boardId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			defaultValue: 'fireboard', // Entries from before multiple boards belong to the legacy board
+			comment: 'ID of the board (from fireboardSettings.boards) the entry was posted to',
+		},
 		messageId: {
 			type: DataTypes.STRING,
 			allowNull: false,
-			unique: true,
 			comment: 'Discord message ID of the original message',
 		},
 		channelId: {
@@ -20,7 +25,7 @@ module.exports = (sequelize) => {
 		},
 		fireboardMessageId: {
 			type: DataTypes.STRING,
-			allowNull: false,
+			allowNull: true, // Imported entries without a post get one on their next refresh
 			unique: true,
 			comment: 'Discord message ID of the fireboard entry',
 		},
@@ -30,17 +35,58 @@ module.exports = (sequelize) => {
 			comment: 'Discord user ID of the original message author',
 		},
 		validReactionCount: {
+			type: DataTypes.FLOAT,
+			allowNull: false,
+			defaultValue: 0,
+			comment: 'Total weighted count of valid reactions on the original message',
+		},
+		tier: {
 			type: DataTypes.INTEGER,
 			allowNull: false,
 			defaultValue: 0,
-			comment: 'Total count of valid reactions on the original message',
+			comment: 'Level of the highest board tier reached (0 if none)',
+		},
+		hallOfFameMessageId: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Discord message ID of the hall of fame crosspost, if the top tier was reached',
+		},
+		reactionBreakdown: {
+			type: DataTypes.JSON,
+			allowNull: true,
+			comment: 'Weighted count per valid emoji as of the last refresh',
+		},
+		sourceDeletedAt: {
+			type: DataTypes.DATE,
+			allowNull: true,
+			comment: 'When the original message was found deleted, if the post was archived',
+		},
+		contentExcerpt: {
+			type: DataTypes.TEXT,
+			allowNull: true,
+			comment: 'Start of the original message content, used for text search',
+		},
+		snapshot: {
+			type: DataTypes.JSON,
+			allowNull: true,
+			comment: 'Content, author and attachments the fireboard post was last rendered from',
+		},
+		imported: {
+			type: DataTypes.BOOLEAN,
+			allowNull: false,
+			defaultValue: false,
+			comment: 'Whether the entry was imported and hasn\'t reached this board\'s threshold since',
 		},
 	}, {
 		tableName: 'fireboard_entries',
 		timestamps: true, // Adds createdAt and updatedAt
+		// A message can appear once per board. Not a unique index: sync({ alter: true }) on SQLite
+		// turns composite unique indexes into per-column unique constraints, so createEntry enforces it
 		indexes: [
 			{
-				unique: true,
+				fields: ['boardId', 'messageId'],
+			},
+			{
 				fields: ['messageId'],
 			},
 			{
@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const FireboardExclusion = sequelize.define('FireboardExclusion', {
+		id: {
+			type: DataTypes.INTEGER,
+			primaryKey: true,
+			autoIncrement: true,
+		},
+		type: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'What is excluded: channel, user or message',
+		},
+		targetId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Discord ID of the excluded channel, user or message',
+		},
+		createdBy: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Discord user ID of the moderator who added the exclusion',
+		},
+		reason: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+	}, {
+		tableName: 'fireboard_exclusions',
+		// One exclusion per type and target, enforced by addExclusion's findOrCreate: a composite unique
+		// index would become a unique constraint on targetId alone, which clashes across types
+		indexes: [
+			{
+				fields: ['type', 'targetId'],
+			},
+		],
+	});
+
+	return FireboardExclusion;
+};
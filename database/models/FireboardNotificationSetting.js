@@ -0,0 +1,22 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const FireboardNotificationSetting = sequelize.define('FireboardNotificationSetting', {
+		userId: {
+			type: DataTypes.STRING,
+			primaryKey: true,
+			comment: 'Discord user ID the setting belongs to',
+		},
+		enabled: {
+			type: DataTypes.BOOLEAN,
+			allowNull: false,
+			defaultValue: false,
+			comment: 'Whether the user is told when their messages make a board or climb a tier',
+		},
+	}, {
+		tableName: 'fireboard_notification_settings',
+		timestamps: true, // Adds createdAt and updatedAt
+	});
+
+	return FireboardNotificationSetting;
+};
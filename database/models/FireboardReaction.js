@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const FireboardReaction = sequelize.define('FireboardReaction', {
+		id: {
+			type: DataTypes.INTEGER,
+			primaryKey: true,
+			autoIncrement: true,
+		},
+		messageId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Discord message ID of the reacted message',
+		},
+		userId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Discord user ID of the reacting user',
+		},
+		emoji: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Valid reaction emoji as written in the fireboard config',
+		},
+		reactedAt: {
+			type: DataTypes.DATE,
+			allowNull: false,
+			comment: 'When the reaction was added (message creation time if only seen while reconciling)',
+		},
+	}, {
+		tableName: 'fireboard_reactions',
+		timestamps: false,
+		// Not unique: sync({ alter: true }) on SQLite turns composite unique indexes into
+		// per-column unique constraints, so uniqueness is enforced by findOrCreate instead
+		indexes: [
+			{
+				fields: ['messageId', 'userId', 'emoji'],
+			},
+		],
+	});
+
+	return FireboardReaction;
+};
@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const ReactionRoleMapping = sequelize.define('ReactionRoleMapping', {
+		id: {
+			type: DataTypes.INTEGER,
+			primaryKey: true,
+			autoIncrement: true,
+		},
+		panelId: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			comment: 'ID of the reaction role panel the mapping belongs to',
+		},
+		emoji: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Emoji as written in a message, e.g. 🔥 or <:name:id>',
+		},
+		roleId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Discord role ID the emoji grants',
+		},
+		description: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Optional text shown next to the role on the panel',
+		},
+		requiredRoleId: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Discord role ID a member must already hold to pick the role',
+		},
+		durationMinutes: {
+			type: DataTypes.INTEGER,
+			allowNull: true,
+			comment: 'How long the role lasts once picked (null for no expiry)',
+		},
+	}, {
+		tableName: 'reaction_role_mappings',
+		// addRole keeps roles and emojis unique per panel. Custom emojis may be stored as `<:name:id>` or
+		// as a bare ID, so duplicates are found with emojisMatch rather than an index
+		indexes: [
+			{
+				fields: ['panelId'],
+			},
+		],
+	});
+
+	return ReactionRoleMapping;
+};
@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const ReactionRolePanel = sequelize.define('ReactionRolePanel', {
+		id: {
+			type: DataTypes.INTEGER,
+			primaryKey: true,
+			autoIncrement: true,
+		},
+		name: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			unique: true,
+			comment: 'Name the panel is managed by in /reactionroles',
+		},
+		channelId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Discord channel ID the panel is posted in',
+		},
+		messageId: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Discord message ID of the panel (null until it has been posted)',
+		},
+		title: {
+			type: DataTypes.STRING,
+			allowNull: false,
+		},
+		description: {
+			type: DataTypes.TEXT,
+			allowNull: true,
+		},
+		style: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			defaultValue: 'reactions',
+			comment: 'How members pick roles: reactions, buttons or select',
+		},
+		mode: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			defaultValue: 'normal',
+			comment: 'What picking a role does: normal, unique, verify or drop',
+		},
+		maxRoles: {
+			type: DataTypes.INTEGER,
+			allowNull: true,
+			comment: 'Most roles from the panel a member may hold at once (null for no limit)',
+		},
+	}, {
+		tableName: 'reaction_role_panels',
+		indexes: [
+			{
+				fields: ['messageId'],
+			},
+		],
+	});
+
+	return ReactionRolePanel;
+};
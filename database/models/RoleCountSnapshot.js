@@ -0,0 +1,35 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const RoleCountSnapshot = sequelize.define('RoleCountSnapshot', {
+		id: {
+			type: DataTypes.INTEGER,
+			primaryKey: true,
+			autoIncrement: true,
+		},
+		roleId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Discord role ID of a role on a reaction role panel',
+		},
+		memberCount: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			comment: 'How many members had the role',
+		},
+		takenAt: {
+			type: DataTypes.DATE,
+			allowNull: false,
+			comment: 'End of the day the count was taken for',
+		},
+	}, {
+		tableName: 'role_count_snapshots',
+		indexes: [
+			{
+				fields: ['roleId', 'takenAt'],
+			},
+		],
+	});
+
+	return RoleCountSnapshot;
+};
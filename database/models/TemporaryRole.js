@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const TemporaryRole = sequelize.define('TemporaryRole', {
+		id: {
+			type: DataTypes.INTEGER,
+			primaryKey: true,
+			autoIncrement: true,
+		},
+		guildId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Discord guild ID the role belongs to',
+		},
+		userId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Discord user ID of the member holding the role',
+		},
+		roleId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Discord role ID that is taken away when it expires',
+		},
+		expiresAt: {
+			type: DataTypes.DATE,
+			allowNull: false,
+			comment: 'When the role is taken away',
+		},
+		panelId: {
+			type: DataTypes.INTEGER,
+			allowNull: true,
+			comment: 'ID of the reaction role panel the role was picked from, if any',
+		},
+	}, {
+		tableName: 'temporary_roles',
+		// A member has at most one expiry per role; setTemporaryRole replaces it through findOrCreate
+		indexes: [
+			{
+				fields: ['userId', 'roleId'],
+			},
+			{
+				fields: ['expiresAt'],
+			},
+		],
+	});
+
+	return TemporaryRole;
+};
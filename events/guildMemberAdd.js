@@ -5,6 +5,9 @@ const { welcomeSettings } = require('../config.js');
 module.exports = {
 	name: Events.GuildMemberAdd,
 	async execute(member) {
+		// Update member counts on role panels (members can join with roles, e.g. when rejoining)
+		member.client.reactionHandler?.roles.queueCountUpdate(member.roles.cache.map(role => role.id));
+
 		// Check if welcome messages are enabled
 		if (!welcomeSettings.welcomeEnabled) {
 			return;
@@ -5,6 +5,9 @@ const { welcomeSettings } = require('../config.js');
 module.exports = {
 	name: Events.GuildMemberRemove,
 	async execute(member) {
+		// Update member counts on role panels
+		member.client.reactionHandler?.roles.queueCountUpdate(member.roles.cache.map(role => role.id));
+
 		// Check if goodbye messages are enabled
 		if (!welcomeSettings.goodbyeEnabled) {
 			return;
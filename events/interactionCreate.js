@@ -1,19 +1,46 @@
 const { Events, MessageFlags } = require('discord.js');
 
+// Slash and context menu commands are looked up by name. Components (buttons, select menus) are
+// routed to the command named by the first part of their custom ID, e.g. `fireboard:page:...` goes to the fireboard command's handleComponent
+function getCommand(interaction) {
+	if (interaction.isCommand()) {
+		return interaction.client.commands.get(interaction.commandName);
+	}
+
+	const [commandName] = interaction.customId.split(':');
+	const command = interaction.client.commands.get(commandName);
+	return command?.handleComponent ? command : null;
+}
+
 module.exports = {
 	name: Events.InteractionCreate,
 	async execute(interaction) {
-		if (!interaction.isChatInputCommand()) return;
+		// Option suggestions go to the command's optional autocomplete(interaction)
+		if (interaction.isAutocomplete()) {
+			try {
+				await interaction.client.commands.get(interaction.commandName)?.autocomplete?.(interaction);
+			} catch (error) {
+				// Suggestions can't show an error, so failures are only logged
+				console.error(error);
+			}
+			return;
+		}
+
+		if (!interaction.isCommand() && !interaction.isMessageComponent()) return;
 
-		const command = interaction.client.commands.get(interaction.commandName);
+		const command = getCommand(interaction);
 
 		if (!command) {
-			console.error(`No command matching ${interaction.commandName} was found.`);
+			console.error(`No command matching ${interaction.commandName ?? interaction.customId} was found.`);
 			return;
 		}
 
 		try {
-			await command.execute(interaction);
+			if (interaction.isMessageComponent()) {
+				await command.handleComponent(interaction);
+			} else {
+				await command.execute(interaction);
+			}
 		} catch (error) {
 			console.error(error);
 			if (interaction.replied || interaction.deferred) {
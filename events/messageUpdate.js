@@ -0,0 +1,9 @@
+const { Events } = require('discord.js');
+
+module.exports = {
+	name: Events.MessageUpdate,
+	async execute(oldMessage, newMessage) {
+		const client = newMessage.client;
+		await client.reactionHandler?.fireboard.edit(oldMessage, newMessage);
+	},
+};
@@ -1,6 +1,7 @@
 const { Events, ActivityType } = require('discord.js');
 const { ReactionHandler } = require('../reactions/handler');
 const { initializeDatabase } = require('../database');
+const { Scheduler } = require('../scheduler/scheduler');
 
 module.exports = {
 	name: Events.ClientReady,
@@ -12,6 +13,10 @@ module.exports = {
 		client.reactionHandler = new ReactionHandler(client);
 		await client.reactionHandler.initialize();
 
+		// Scheduled jobs (e.g. fireboard digests) use the handlers, so start them afterwards
+		client.scheduler = new Scheduler(client);
+		await client.scheduler.start();
+
 		client.user.setActivity('Family Guy S12 E19', { type: ActivityType.Watching });
 
 		console.log(`Ready! Logged in as ${client.user.tag}`);
@@ -1,14 +1,46 @@
+const { setTimeout: sleep } = require('node:timers/promises');
+const { RESTEvents, RESTJSONErrorCodes } = require('discord.js');
 const { fireboardSettings } = require('../config');
-const { calculateValidReactions, calculateTotalCount } = require('../utils/reactionUtils');
-const { getEntry, createEntry, updateEntry, deleteEntryObject, getAllEntries } = require('../utils/fireboardCrud');
-const { createFireboardEmbed } = require('../utils/embeds');
-const { fetchMessage, fetchAuthorNickname } = require('../utils/guildUtils');
+const { getDigestSettings, getFireboardBoards } = require('../utils/configUtils');
+const { RefreshQueue } = require('./refreshQueue');
+const { calculateTotalCount, fetchReactionLedger, findValidReaction, getEmojiKey, getMaxReactionWeight, getTier, ledgerMatchesMessage, tallyValidReactions } = require('../utils/reactionUtils');
+const { getEntriesForMessage, getEntriesForBoard, findExclusion, createEntry, updateEntry, deleteEntryObject, getAllEntries, getReactions, addReaction, removeReaction, replaceReactions, deleteReactions, getNotificationsEnabled, getDigest } = require('../utils/fireboardCrud');
+const { createAuthorNotification, createDigestEmbed, createFireboardEmbeds, createFireboardWebhookMessage, createTierPromotionMessage } = require('../utils/embeds');
+const { createEntryLink, fetchMessage, fetchAuthorNickname, fetchOwnWebhook, fetchReadableTextChannels, fetchVoters, iterateMessagesSince, parseMessageLink } = require('../utils/guildUtils');
+const { getState, setState } = require('../utils/stateCrud');
+const { createContentExcerpt, createMessageSnapshot } = require('../utils/snapshotUtils');
+
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const BACKFILL_SAVE_INTERVAL = 50; // Messages scanned between saved backfill progress
 
 module.exports.Fireboard = class {
 	constructor(client) {
 		this.client = client;
 		this.settings = fireboardSettings;
-		this.processingMessages = new Set(); // Track messages currently being processed
+		this.boards = getFireboardBoards().filter(board => board.enabled);
+		this.boardChannels = new Map(); // Board ID -> fireboard channel
+		this.hallOfFameChannels = new Map(); // Board ID -> hall of fame channel
+		this.boardWebhooks = new Map(); // Board ID -> webhook that posts on boards with the webhook post style
+
+		// Serializes refreshes per message; bursts of reactions are merged into a single follow-up refresh
+		this.queue = new RefreshQueue(
+			payload => this._processMessage(payload.channelId, payload.messageId, payload),
+			this.settings.refreshQueue,
+			(previous, next) => ({
+				channelId: next.channelId ?? previous.channelId,
+				messageId: next.messageId,
+				reconcile: previous.reconcile || next.reconcile,
+				removeExcluded: previous.removeExcluded || next.removeExcluded,
+			}),
+		);
+
+		// Moderators can override a board's configured archive mode at runtime
+		this.archiveModes = {}; // Board ID -> 'delete' | 'preserve'
+		this.backfills = new Map(); // Channel ID -> progress of the backfill running in it
+
+		// Hold off on starting new refreshes while the REST API is rate limiting us
+		this.client.rest.on(RESTEvents.RateLimited, info => this.queue.pause(info.retryAfter));
 	}
 
 	async initialize() {
@@ -16,39 +48,106 @@ module.exports.Fireboard = class {
 
 		if (!fireboardSettings.enabled) {throw new Error('Reaction tracking (Fireboard) is disabled in config');}
 
-		this.fireboardChannel = await this.client.channels.fetch(this.settings.channelId);
+		for (const board of this.boards) {
+			try {
+				this.boardChannels.set(board.id, await this.client.channels.fetch(board.channelId));
+			} catch (error) {
+				console.error(`Could not fetch channel ${board.channelId} for board ${board.id}:`, error);
+			}
+
+			if (board.postStyle === 'webhook' && this.boardChannels.has(board.id)) {
+				try {
+					this.boardWebhooks.set(board.id, await fetchOwnWebhook(this.boardChannels.get(board.id)));
+				} catch (error) {
+					console.error(`Could not set up a webhook for board ${board.id}, posting embeds instead:`, error);
+				}
+			}
+
+			if (!board.hallOfFameChannelId) continue;
+			try {
+				this.hallOfFameChannels.set(board.id, await this.client.channels.fetch(board.hallOfFameChannelId));
+			} catch (error) {
+				console.error(`Could not fetch hall of fame channel ${board.hallOfFameChannelId} for board ${board.id}:`, error);
+			}
+		}
+
+		// Boards without a channel can't be posted to, so leave their entries alone
+		this.boards = this.boards.filter(board => this.boardChannels.has(board.id));
+
+		this.archiveModes = await getState('fireboard.archiveModes', {});
+
+		// Read the previous heartbeat before this run starts overwriting it
+		const lastOnline = await getState('fireboard.lastOnline');
+		this._startHeartbeat();
 
 		// Refresh all fireboard entries on startup
 		await this._refreshAllEntries();
+
+		// Scanning history can take a while, so don't hold up startup for it
+		this._catchUp(lastOnline).catch(error => console.error('Error during fireboard catch-up:', error));
 	}
 
-	// TODO remove unused parameter, forgot why i put this here
-	// eslint-disable-next-line no-unused-vars
 	async add(reaction, user) {
 		if (!this.settings.enabled) return;
+
+		const emoji = findValidReaction(getEmojiKey(reaction.emoji));
+		if (!emoji) return;
+
+		await addReaction(reaction.message.id, user.id, emoji);
 		await this.refreshMessage(reaction.message.channel.id, reaction.message.id);
 	}
 
-	// TODO remove unused parameter, forgot why i put this here
-	// eslint-disable-next-line no-unused-vars
 	async remove(reaction, user) {
 		if (!this.settings.enabled) return;
+
+		const emoji = findValidReaction(getEmojiKey(reaction.emoji));
+		if (!emoji) return;
+
+		await removeReaction(reaction.message.id, user.id, emoji);
 		await this.refreshMessage(reaction.message.channel.id, reaction.message.id);
 	}
 
 	async delete(message) {
 		if (!this.settings.enabled) return;
 
-		if (message.channel.id === this.settings.channelId) return;
+		if (this._isBoardChannel(message.channel.id)) return;
 
 		console.log(`Message deleted with ID: ${message.id}`);
 
-		const entry = await getEntry(message.id);
-		if (entry) {
-			await this._deleteFireboardEntry(message.id);
-			console.log(`Successfully removed fireboard entry for deleted message ${message.id}`);
-		} else {
+		await deleteReactions(message.id);
+
+		const entries = await getEntriesForMessage(message.id);
+		if (entries.length === 0) {
 			console.log(`No fireboard entry found for deleted message ${message.id}`);
+			return;
+		}
+
+		// The refresh finds the message gone and archives or removes its posts, after any refresh
+		// already running for it
+		await this.refreshMessage(message.channel.id, message.id);
+		console.log(`Successfully handled fireboard entries for deleted message ${message.id}`);
+	}
+
+	async edit(oldMessage, newMessage) {
+		if (!this.settings.enabled) return;
+
+		// Ignore updates that don't change anything shown on the board (e.g. pins, flags)
+		if (!oldMessage.partial &&
+            oldMessage.content === newMessage.content &&
+            oldMessage.attachments.size === newMessage.attachments.size &&
+            oldMessage.embeds.length === newMessage.embeds.length) {
+			return;
+		}
+
+		const entries = await getEntriesForMessage(newMessage.id);
+		if (entries.length === 0) return;
+
+		console.log(`Message ${newMessage.id} with fireboard entries was edited`);
+
+		try {
+			await this.refreshMessage(newMessage.channelId, newMessage.id);
+		} catch (error) {
+			console.error(`Error syncing fireboard entries for edited message ${newMessage.id}:`, error);
 		}
 	}
 
@@ -57,133 +156,757 @@ module.exports.Fireboard = class {
 	async _refreshAllEntries() {
 		console.log('Refreshing all fireboard entries');
 
+		// Archived entries are included, so one whose original only looked deleted (e.g. during an outage) comes back
 		const entries = await getAllEntries();
 		console.log(`Found ${entries.length} fireboard entries to refresh`);
 
-		if (!this.fireboardChannel) {
-			console.error('Fireboard channel not found during refresh');
+		if (this.boardChannels.size === 0) {
+			console.error('No fireboard channels found during refresh');
 			return;
 		}
 
+		// A message is refreshed for every board at once, so only queue each message once
+		const messageChannels = new Map();
+		for (const entry of entries) {
+			if (!messageChannels.get(entry.messageId)) messageChannels.set(entry.messageId, entry.channelId);
+		}
+
 		let refreshed = 0;
 		let removed = 0;
 
-		for (const entry of entries) {
+		// The queue limits how many of these run at once
+		await Promise.all(Array.from(messageChannels, async ([messageId, channelId]) => {
 			try {
-				const result = await this.refreshMessage(entry.channelId, entry.messageId);
-				if (result === 'updated' || result === 'added') refreshed++;
-				else if (result === 'deleted') removed++;
+				// Reactions may have changed while the bot was offline
+				const statuses = await this.refreshMessage(channelId, messageId, { reconcile: true });
+				for (const status of Object.values(statuses)) {
+					if (status === 'updated' || status === 'added') refreshed++;
+					else if (status === 'deleted') removed++;
+				}
 			} catch (error) {
-				console.error(`Error refreshing entry ${entry.messageId}:`, error);
+				console.error(`Error refreshing entry ${messageId}:`, error);
 			}
-		}
+		}));
 
 		console.log(`Fireboard refresh complete: ${refreshed} updated, ${removed} removed`);
 	}
 
-	async refreshMessage(channelId, messageId) {
+	_startHeartbeat() {
+		const beat = () => setState('fireboard.lastOnline', Date.now());
+		beat();
+		setInterval(beat, HEARTBEAT_INTERVAL_MS);
+	}
+
+	// Looks for messages that crossed the threshold while the bot was offline
+	async _catchUp(lastOnline) {
+		const catchUp = this.settings.catchUp ?? {};
+		if (catchUp.enabled === false) return;
+
+		if (!lastOnline) {
+			console.log('No previous heartbeat recorded, skipping fireboard catch-up');
+			return;
+		}
+
+		// Messages posted shortly before going offline were likely still collecting reactions
+		const since = Math.max(
+			lastOnline - (catchUp.overlapHours ?? 24) * HOUR_MS,
+			Date.now() - (catchUp.maxLookbackHours ?? 72) * HOUR_MS,
+		);
+		console.log(`Starting fireboard catch-up from ${new Date(since).toISOString()}`);
+
+		const channels = fetchReadableTextChannels(this.client)
+			.filter(channel => !this._isBoardChannel(channel.id));
+
+		let scanned = 0;
+		let candidates = 0;
+		let added = 0;
+		let channelIndex = 0;
+
+		for (const [, channel] of channels) {
+			channelIndex++;
+			let channelScanned = 0;
+			let channelCandidates = 0;
+
+			try {
+				for await (const message of iterateMessagesSince(channel, since)) {
+					channelScanned++;
+					if (!this._mayBeEligible(message)) continue;
+					if ((await getEntriesForMessage(message.id)).length > 0) continue; // Already refreshed on startup
+
+					channelCandidates++;
+					const statuses = await this.refreshMessage(channel.id, message.id, { reconcile: true });
+					added += Object.values(statuses).filter(status => status === 'added').length;
+				}
+			} catch (error) {
+				console.error(`Error scanning #${channel.name} during fireboard catch-up:`, error);
+			}
+
+			scanned += channelScanned;
+			candidates += channelCandidates;
+			console.log(`Fireboard catch-up [${channelIndex}/${channels.size}] #${channel.name}: ${channelScanned} messages scanned, ${channelCandidates} candidates`);
+		}
+
+		console.log(`Fireboard catch-up complete: ${scanned} messages scanned, ${candidates} candidates, ${added} added`);
+	}
+
+	getBackfillProgress(channelId) {
+		return this.backfills.get(channelId) ?? null;
+	}
+
+	// Posts qualifying messages from a channel's history oldest first, pausing after every new post so
+	// a long backfill doesn't flood the boards. Progress is saved as it goes, so running it again with
+	// the same start date picks up where an interrupted run left off.
+	async backfill(channel, since, { restart = false, onProgress = null } = {}) {
+		if (this._isBoardChannel(channel.id)) throw new Error('Board channels can\'t be backfilled');
+		if (this.backfills.has(channel.id)) throw new Error(`A backfill of #${channel.name} is already running`);
+
+		const settings = { postDelayMs: 2000, ...this.settings.backfill };
+		const stateKey = `fireboard.backfill.${channel.id}`;
+		const saved = await getState(stateKey);
+		const progress = !restart && saved && saved.since === since && !saved.finishedAt
+			? { ...saved, resumed: true }
+			: { since, cursor: null, lastMessageAt: null, scanned: 0, candidates: 0, added: 0, finishedAt: null, resumed: false };
+
+		this.backfills.set(channel.id, progress);
+		console.log(`${progress.resumed ? 'Resuming' : 'Starting'} fireboard backfill of #${channel.name} from ${new Date(since).toISOString()}`);
+
+		try {
+			for await (const message of iterateMessagesSince(channel, since, progress.cursor)) {
+				progress.scanned++;
+
+				if (this._mayBeEligible(message)) {
+					progress.candidates++;
+					const statuses = await this.refreshMessage(channel.id, message.id, { reconcile: true });
+					const added = Object.values(statuses).filter(status => status === 'added').length;
+					progress.added += added;
+					if (added > 0) await sleep(settings.postDelayMs);
+				}
+
+				progress.cursor = message.id;
+				progress.lastMessageAt = message.createdTimestamp;
+				if (progress.scanned % BACKFILL_SAVE_INTERVAL === 0) await setState(stateKey, progress);
+				onProgress?.(progress);
+			}
+
+			progress.finishedAt = Date.now();
+			console.log(`Fireboard backfill of #${channel.name} complete: ${progress.scanned} messages scanned, ${progress.candidates} candidates, ${progress.added} added`);
+			return progress;
+		} finally {
+			await setState(stateKey, progress);
+			this.backfills.delete(channel.id);
+		}
+	}
+
+	// Cross-checks each board channel against the database. Reports, per board: posts whose original
+	// has no entry on any board in the channel (orphans), extra posts for a message that already has
+	// one (duplicates), posts whose entry points elsewhere (unlinked), posts that don't link to an
+	// original (unmapped), entries whose post is gone (missing) and entries without a channel ID.
+	// With `repair`, unlinked posts are re-linked, missing posts are re-posted and channel IDs are filled
+	// in. Orphans and duplicates are only deleted with `deleteStrays` as well; unmapped posts never are.
+	async audit({ boardId = null, repair = false, deleteStrays = false } = {}) {
+		const reports = [];
+		for (const board of this.boards) {
+			if (boardId && board.id !== boardId) continue;
+			reports.push(await this._auditBoard(board, repair, repair && deleteStrays));
+		}
+		return reports;
+	}
+
+	async _auditBoard(board, repair, deleteStrays) {
+		console.log(`Auditing ${board.name}${repair ? ' with repair' : ''}${deleteStrays ? ', deleting strays' : ''}`);
+
+		const entries = await getEntriesForBoard(board.id);
+		const entriesBySource = new Map(entries.map(entry => [entry.messageId, entry]));
+
+		// Boards can share a channel, so posts are checked against the entries of all of them
+		const channelBoardIds = getFireboardBoards().filter(b => b.channelId === board.channelId).map(b => b.id);
+		const channelEntries = (await getAllEntries()).filter(entry => channelBoardIds.includes(entry.boardId));
+		const linkedPostIds = new Set(channelEntries.map(entry => entry.fireboardMessageId));
+
+		const report = { board, scanned: 0, orphans: [], duplicates: [], unlinked: [], unmapped: [], missing: [], missingChannel: [] };
+		const channelPostIds = new Set();
+		const livePostIds = new Set();
+		const sourceLinks = new Map(); // Source message ID -> link parsed from one of its posts
+		const unlinkedPosts = [];
+
+		for await (const post of iterateMessagesSince(this.boardChannels.get(board.id), 0, '0')) {
+			channelPostIds.add(post.id);
+
+			// Tier promotion replies and other bot messages have no embed
+			if (!this._isOwnPost(board, post) || post.embeds.length === 0) continue;
+			report.scanned++;
+			livePostIds.add(post.id);
+
+			const [embed] = post.embeds;
+			const link = parseMessageLink(embed.url) ?? parseMessageLink(embed.fields.map(field => field.value).join('\n'));
+			if (link) sourceLinks.set(link.messageId, link);
+
+			if (!linkedPostIds.has(post.id)) unlinkedPosts.push({ post, link });
+		}
+
+		const missingEntries = new Set(entries.filter(entry => !livePostIds.has(entry.fireboardMessageId)));
+
+		for (const { post, link } of unlinkedPosts) {
+			// Without a link back to the original there's no telling what the post is for
+			if (!link) {
+				report.unmapped.push(post.id);
+				continue;
+			}
+
+			const entry = entriesBySource.get(link.messageId);
+			const sourceEntries = channelEntries.filter(e => e.messageId === link.messageId);
+			if (entry && missingEntries.has(entry)) {
+				// The entry's own post is gone, so this one can take its place
+				report.unlinked.push(post.id);
+				missingEntries.delete(entry);
+				if (repair) await updateEntry(board.id, entry.messageId, { fireboardMessageId: post.id });
+			} else if (sourceEntries.some(e => e !== entry && !channelPostIds.has(e.fireboardMessageId))) {
+				// Likely the lost post of another board in this channel, which that board's audit re-links
+				continue;
+			} else if (sourceEntries.length === 0) {
+				report.orphans.push(post.id);
+				if (deleteStrays) await this._deleteAuditedPost(board, post);
+			} else {
+				report.duplicates.push(post.id);
+				if (deleteStrays) await this._deleteAuditedPost(board, post);
+			}
+		}
+
+		for (const entry of entries.filter(e => !e.channelId)) {
+			report.missingChannel.push(entry.messageId);
+			if (!repair) continue;
+
+			let channelId = sourceLinks.get(entry.messageId)?.channelId;
+			try {
+				channelId ??= (await fetchMessage(this.client, null, entry.messageId))?.channel.id;
+			} catch (error) {
+				console.error(`Could not look up the channel of ${board.name} entry ${entry.messageId}:`, error);
+			}
+			if (channelId) {
+				await updateEntry(board.id, entry.messageId, { channelId });
+				entry.channelId = channelId;
+			}
+		}
+
+		for (const entry of missingEntries) {
+			report.missing.push(entry.messageId);
+			if (repair) await this._repostEntry(board, entry);
+		}
+
+		console.log(`${board.name} audit: ${report.scanned} posts scanned, ${report.orphans.length} orphans, ${report.duplicates.length} duplicates, ${report.unlinked.length} unlinked, ${report.unmapped.length} unmapped, ${report.missing.length} missing, ${report.missingChannel.length} without a channel`);
+		return report;
+	}
+
+	async _deleteAuditedPost(board, post) {
+		try {
+			await this._deletePost(board, post);
+			console.log(`Deleted stray ${board.name} message ${post.id}`);
+		} catch (error) {
+			console.error(`Could not delete stray ${board.name} message ${post.id}:`, error);
+		}
+	}
+
+	async _repostEntry(board, entry) {
+		// Archived posts can only be rebuilt from what was stored
+		if (entry.sourceDeletedAt) {
+			try {
+				const fireboardMessage = await this._sendPost(board, this._renderArchivedEntry(board, entry));
+				await updateEntry(board.id, entry.messageId, { fireboardMessageId: fireboardMessage.id });
+				console.log(`Reposted archived ${board.name} entry for message ${entry.messageId} as message ${fireboardMessage.id}`);
+			} catch (error) {
+				console.error(`Could not repost archived ${board.name} entry for message ${entry.messageId}:`, error);
+			}
+			return;
+		}
+
+		// A refresh recreates the post, or removes the entry if the message no longer qualifies
+		try {
+			await this.refreshMessage(entry.channelId, entry.messageId, { reconcile: true });
+		} catch (error) {
+			console.error(`Could not repost ${board.name} entry for message ${entry.messageId}:`, error);
+		}
+	}
+
+	// Posts each board's "Best of" digest for the period to its digest channel; run by the scheduler
+	async postDigests(periodLabel, since, until) {
+		const { topEntries } = getDigestSettings();
+
+		for (const board of this.boards) {
+			if (!board.digestChannelId) continue;
+
+			const digest = await getDigest(board.id, since, until, topEntries);
+			if (!digest || digest.entryCount === 0) {
+				console.log(`Skipping ${board.name} digest for ${periodLabel}: no entries`);
+				continue;
+			}
+
+			try {
+				const channel = await this.client.channels.fetch(board.digestChannelId);
+				await channel.send({ embeds: [createDigestEmbed(board, periodLabel, digest, createEntryLink)] });
+				console.log(`Posted ${board.name} digest for ${periodLabel}`);
+			} catch (error) {
+				console.error(`Could not post ${board.name} digest for ${periodLabel}:`, error);
+			}
+		}
+	}
+
+	// Cheap pre-check on raw reaction counts, which give an upper bound on the valid reaction count
+	_mayBeEligible(message) {
+		return this.boards.some(board => {
+			let rawCount = 0;
+			for (const [emojiKey, reaction] of message.reactions.cache) {
+				if (findValidReaction(emojiKey, board)) rawCount += reaction.count;
+			}
+			return rawCount * getMaxReactionWeight(board) >= board.threshold;
+		});
+	}
+
+	// Member details are only needed for rules that look at bots, roles or server tenure
+	_needsVoterDetails() {
+		return this.boards.some(({ voterRules, roleMultipliers }) =>
+			voterRules.ignoreBots ||
+			voterRules.minMemberDays > 0 ||
+			voterRules.requiredRoles.length > 0 ||
+			voterRules.excludedRoles.length > 0 ||
+			Object.keys(roleMultipliers).length > 0);
+	}
+
+	getArchiveMode(board) {
+		return this.archiveModes[board.id] ?? board.archiveMode;
+	}
+
+	async setArchiveMode(boardId, mode) {
+		this.archiveModes = { ...this.archiveModes, [boardId]: mode };
+		await setState('fireboard.archiveModes', this.archiveModes);
+	}
+
+	_getBoard(boardId) {
+		return this.boards.find(board => board.id === boardId) ?? null;
+	}
+
+	_isBoardChannel(channelId) {
+		return this.boards.some(board => board.channelId === channelId || board.hallOfFameChannelId === channelId);
+	}
+
+	// Where a message stands on every board, without changing anything on them
+	async getMessageStatus(message) {
+		const entries = await getEntriesForMessage(message.id);
+		const exclusion = await findExclusion({
+			messageId: message.id,
+			channelIds: [message.channel.id, message.channel.parentId].filter(Boolean),
+			authorId: message.author.id,
+		});
+
+		const ledger = await this._getReactionLedger(message, false);
+		const voters = this._needsVoterDetails()
+			? await fetchVoters(this.client, Array.from(new Set(ledger.map(r => r.userId))))
+			: new Map();
+
+		return {
+			exclusion,
+			boards: this.boards.map(board => {
+				const validReactions = tallyValidReactions(ledger, message.author.id, board, voters);
+				const total = calculateTotalCount(validReactions);
+				return {
+					board,
+					entry: entries.find(e => e.boardId === board.id) ?? null,
+					validReactions,
+					total,
+					tier: getTier(board, total),
+				};
+			}),
+		};
+	}
+
+	// Resolves with the status of the refresh run that covered this request, keyed by board ID
+	// `removeExcluded` also takes the message off the boards if its channel or author is excluded
+	async refreshMessage(channelId, messageId, { reconcile = false, removeExcluded = false } = {}) {
+		return this.queue.enqueue(messageId, { channelId, messageId, reconcile, removeExcluded });
+	}
+
+	// Takes every existing post of an excluded channel (and its threads) or user off the boards
+	async removeExcludedEntries(type, targetId) {
+		const entries = (await getAllEntries()).filter(entry => (type === 'user'
+			? entry.authorId === targetId
+			: entry.channelId === targetId || this.client.channels.cache.get(entry.channelId)?.parentId === targetId));
+
+		const messageChannels = new Map(entries.map(entry => [entry.messageId, entry.channelId]));
+		let removed = 0;
+
+		await Promise.all(Array.from(messageChannels, async ([messageId, channelId]) => {
+			try {
+				const statuses = await this.refreshMessage(channelId, messageId, { removeExcluded: true });
+				removed += Object.values(statuses).filter(status => status === 'removed').length;
+			} catch (error) {
+				console.error(`Error removing excluded entry ${messageId}:`, error);
+			}
+		}));
+
+		console.log(`Removed ${removed} fireboard posts of excluded ${type} ${targetId}`);
+		return removed;
+	}
+
+	async _processMessage(channelId, messageId, { reconcile = false, removeExcluded = false } = {}) {
 		console.log(`Refreshing message ${messageId} in channel ${channelId ? `#${channelId}` : 'UNKNOWN'}`);
 
 		const message = await fetchMessage(this.client, channelId, messageId);
-		const entry = await getEntry(messageId);
-
-		if (entry && !message) {
-			console.log(`Message ${messageId} not found, deleting fireboard entry`);
-			await this._deleteFireboardEntry(messageId);
-			return 'deleted';
+		const entries = await getEntriesForMessage(messageId);
+		const statuses = {};
+
+		// Entries remember the channel and author of originals that are gone
+		const exclusion = await findExclusion({
+			messageId,
+			channelIds: message
+				? [message.channel.id, message.channel.parentId].filter(Boolean)
+				: entries.map(entry => entry.channelId).filter(Boolean),
+			authorId: message?.author.id ?? entries[0]?.authorId,
+		});
+
+		// Removed messages are taken off every board, whether or not the original still exists
+		if (exclusion && (exclusion.type === 'message' || removeExcluded)) {
+			for (const board of this.boards) {
+				const entry = entries.find(e => e.boardId === board.id);
+				if (entry) {
+					console.log(`Removing ${board.name} entry for message ${messageId}, as its ${exclusion.type} is excluded`);
+					await this._deleteFireboardEntry(board, entry);
+					statuses[board.id] = 'removed';
+				} else {
+					statuses[board.id] = 'excluded';
+				}
+			}
+			return statuses;
 		}
 
 		if (!message) {
 			console.log(`Message ${messageId} not found in channel ${channelId}`);
-			return 'not found';
+
+			for (const board of this.boards) {
+				const entry = entries.find(e => e.boardId === board.id);
+				if (entry) {
+					statuses[board.id] = await this._handleSourceDeleted(board, entry);
+				} else {
+					statuses[board.id] = 'not found';
+				}
+			}
+			return statuses;
 		}
 
-		// Prevent race conditions
-		if (this.processingMessages.has(messageId)) {
-			console.log(`Message ${messageId} is already being processed, skipping...`);
-			return 'skipped';
-		} else {
-			this.processingMessages.add(messageId);
+		// Reactions on board posts shouldn't repost them onto a board
+		if (this._isBoardChannel(message.channel.id)) {
+			for (const board of this.boards) statuses[board.id] = 'not eligible';
+			return statuses;
+		}
+
+		const ledger = await this._getReactionLedger(message, reconcile);
+		const voters = this._needsVoterDetails()
+			? await fetchVoters(this.client, Array.from(new Set(ledger.map(r => r.userId))))
+			: new Map();
+
+		for (const board of this.boards) {
+			const entry = entries.find(e => e.boardId === board.id);
+			statuses[board.id] = await this._processBoard(board, message, ledger, voters, entry, exclusion);
 		}
 
-		const validReactions = await calculateValidReactions(message);
+		return statuses;
+	}
+
+	async _processBoard(board, message, ledger, voters, entry, exclusion) {
+		const validReactions = tallyValidReactions(ledger, message.author.id, board, voters);
 		const totalValidReactions = calculateTotalCount(validReactions);
 
-		let status = 'unknown';
-		if (totalValidReactions >= fireboardSettings.threshold) { // Eligible for fireboard
+		if (totalValidReactions >= board.threshold) { // Eligible for board
 			if (entry) {
 				// Update existing entry
-				await this._updateFireboardEntry(message, validReactions);
-				status = 'updated';
-			} else {
-				// Create new entry
-				await this._addFireboardEntry(message, validReactions);
-				status = 'added';
+				await this._updateFireboardEntry(board, message, validReactions, entry);
+				return 'updated';
+			}
+
+			// Excluded channels and users keep the entries they already have, but get no new ones
+			if (exclusion) {
+				console.log(`Message ${message.id} is eligible for ${board.name} but its ${exclusion.type} is excluded.`);
+				return 'excluded';
 			}
-		} else if (entry) { // Not eligible for fireboard
+
+			// Create new entry
+			await this._addFireboardEntry(board, message, validReactions);
+			return 'added';
+		}
+
+		// Imported entries made another board under rules that can't be checked here, so they stay
+		if (entry?.imported) {
+			console.log(`Message ${message.id} is below the ${board.name} threshold but was imported, so its entry is kept.`);
+			return 'kept (imported)';
+		}
+
+		if (entry) { // Not eligible for board
 			// Delete existing entry
-			console.log(`Message ${message.id} no longer eligible for fireboard.`);
-			await this._deleteFireboardEntry(message.id);
-			status = 'deleted';
-		} else {
-			console.log(`Message ${message.id} not eligible for fireboard.`);
-			status = 'not eligible';
+			console.log(`Message ${message.id} no longer eligible for ${board.name}.`);
+			await this._deleteFireboardEntry(board, entry);
+			return 'deleted';
 		}
 
-		this.processingMessages.delete(messageId);
-		return status;
+		console.log(`Message ${message.id} not eligible for ${board.name}.`);
+		return 'not eligible';
 	}
 
-	async _addFireboardEntry(message, validReactions) {
+	async _getReactionLedger(message, reconcile) {
+		let ledger = await getReactions(message.id);
+
+		// Only hit the API for every reactor when asked to, or when the ledger has drifted from
+		// Discord's counts (e.g. reactions from before the ledger existed or while the bot was offline)
+		if (reconcile || !ledgerMatchesMessage(ledger, message)) {
+			console.log(`Reconciling reaction ledger for message ${message.id}`);
+			ledger = await replaceReactions(message.id, await fetchReactionLedger(message));
+		}
+
+		return ledger;
+	}
+
+	async _addFireboardEntry(board, message, validReactions) {
 		const totalValidReactionCount = calculateTotalCount(validReactions);
-		const embed = createFireboardEmbed(message, validReactions, await fetchAuthorNickname(this.client, message.author.id));
-		const fireboardMessage = await this.fireboardChannel.send({ embeds: [embed] });
-
-		await createEntry(
-			message.id,
-			message.channel.id,
-			fireboardMessage.id,
-			message.author.id,
-			totalValidReactionCount,
-		);
+		const tier = getTier(board, totalValidReactionCount);
+		const snapshot = await createMessageSnapshot(message, await fetchAuthorNickname(this.client, message.author.id));
+		const fireboardMessage = await this._sendPost(board, this._renderPost(board, snapshot, validReactions, tier));
+
+		const entry = await createEntry(board.id, message.id, {
+			channelId: message.channel.id,
+			fireboardMessageId: fireboardMessage.id,
+			authorId: message.author.id,
+			validReactionCount: totalValidReactionCount,
+			snapshot,
+			contentExcerpt: createContentExcerpt(snapshot),
+			tier: tier.level,
+			reactionBreakdown: validReactions.map(({ emoji, count }) => ({ emoji, count })),
+		});
+
+		if (!entry) {
+			// Without a row nothing would ever update or remove the post, and every refresh would post it again
+			await fireboardMessage.delete();
+			throw new Error(`Couldn't save the ${board.name} entry for message ${message.id}`);
+		}
 
-		console.log(`Added message ${message.id} to fireboard as message ${fireboardMessage.id}`);
+		console.log(`Added message ${message.id} to ${board.name} as message ${fireboardMessage.id}`);
+
+		await this._notifyAuthor(board, message, fireboardMessage, null, totalValidReactionCount);
+
+		if (tier.isTopTier) await this._crosspostToHallOfFame(board, message.id, createFireboardEmbeds(snapshot, validReactions, board, tier));
 	}
 
-	async _updateFireboardEntry(message, validReactions) {
-		const entry = await getEntry(message.id);
+	async _updateFireboardEntry(board, message, validReactions, entry) {
 		const totalValidReactionCount = calculateTotalCount(validReactions);
+		const tier = getTier(board, totalValidReactionCount);
+
+		// Frozen boards keep showing the message as it was when it was first posted. Otherwise only the
+		// replied-to message is reused, as fetching it again would cost a request on every reaction.
+		const snapshot = board.freezeContent && entry.snapshot
+			? entry.snapshot
+			: await createMessageSnapshot(message, await fetchAuthorNickname(this.client, message.author.id), entry.snapshot?.reply);
+		const post = this._renderPost(board, snapshot, validReactions, tier);
 
 		let fireboardMessage;
 		try {
-			fireboardMessage = await this.fireboardChannel.messages.fetch(entry.fireboardMessageId);
-			const embed = createFireboardEmbed(message, validReactions, await fetchAuthorNickname(this.client, message.author.id));
-			await fireboardMessage.edit({ embeds: [embed] });
-			console.log(`Updated fireboard channel message for message ${message.id} as message ${fireboardMessage.id}`);
-		// eslint-disable-next-line no-unused-vars
+			// Imported entries may not have a post yet
+			if (entry.fireboardMessageId) fireboardMessage = await this.boardChannels.get(board.id).messages.fetch(entry.fireboardMessageId);
 		} catch (error) {
-			// Fireboard message doesn't exist, recreate it
-			const embed = createFireboardEmbed(message, validReactions, await fetchAuthorNickname(this.client, message.author.id));
-			fireboardMessage = await this.fireboardChannel.send({ embeds: [embed] });
-			console.log(`Recreated fireboard channel message for message ${message.id} as message ${fireboardMessage.id}`);
-		} finally {
-			// Update the database entry
-			await updateEntry(message.id, { channelId: message.channel.id, validReactionCount: totalValidReactionCount, fireboardMessageId: fireboardMessage.id });
-			console.log(`Updated fireboard entry for message ${message.id} as message ${fireboardMessage.id}.`);
+			// Any other error (e.g. a timeout) may leave the post in place, so recreating it could duplicate it
+			if (error.code !== RESTJSONErrorCodes.UnknownMessage) throw error;
+		}
+
+		// Imported entries may point at another bot's post, which can't be edited
+		if (fireboardMessage && this._canEditPost(board, fireboardMessage)) {
+			await this._editPost(board, fireboardMessage, post);
+			console.log(`Updated ${board.name} channel message for message ${message.id} as message ${fireboardMessage.id}`);
+		} else {
+			// Posts made in the board's previous post style are replaced rather than left behind
+			if (fireboardMessage && this._isOwnPost(board, fireboardMessage)) await this._deletePost(board, fireboardMessage);
+
+			// Fireboard message was deleted, recreate it
+			fireboardMessage = await this._sendPost(board, post);
+			console.log(`Recreated ${board.name} channel message for message ${message.id} as message ${fireboardMessage.id}`);
+		}
+
+		// Update the database entry
+		await updateEntry(board.id, message.id, {
+			channelId: message.channel.id,
+			validReactionCount: totalValidReactionCount,
+			fireboardMessageId: fireboardMessage.id,
+			snapshot,
+			contentExcerpt: createContentExcerpt(snapshot),
+			tier: tier.level,
+			reactionBreakdown: validReactions.map(({ emoji, count }) => ({ emoji, count })),
+			sourceDeletedAt: null, // The original is evidently still there
+			imported: false, // Qualified here, so it's removed like any other entry from now on
+		});
+		console.log(`Updated ${board.name} entry for message ${message.id} as message ${fireboardMessage.id}.`);
+
+		// Only climbing a tier is announced, dropping back down is silent
+		if (tier.level > entry.tier) {
+			console.log(`Message ${message.id} was promoted to tier ${tier.level} on ${board.name}`);
+			if (board.announceTierPromotions) await this._announceTierPromotion(board, fireboardMessage, tier, totalValidReactionCount);
+			await this._notifyAuthor(board, message, fireboardMessage, tier, totalValidReactionCount);
+			if (tier.isTopTier && !entry.hallOfFameMessageId) {
+				await this._crosspostToHallOfFame(board, message.id, createFireboardEmbeds(snapshot, validReactions, board, tier));
+			}
 		}
 	}
 
-	async _deleteFireboardEntry(messageId) {
-		const entry = await getEntry(messageId);
+	async _announceTierPromotion(board, fireboardMessage, tier, totalValidReactionCount) {
+		try {
+			await fireboardMessage.reply({
+				content: createTierPromotionMessage(board, tier, totalValidReactionCount),
+				allowedMentions: { repliedUser: false },
+			});
+		} catch (error) {
+			console.error(`Could not announce tier promotion for ${board.name} message ${fireboardMessage.id}:`, error);
+		}
+	}
 
-		// Try to delete the fireboard message
+	// Tells an author who opted in that their message made a board (without a tier) or climbed a tier
+	async _notifyAuthor(board, message, fireboardMessage, tier, totalValidReactionCount) {
+		const settings = { channelId: null, maxMessageAgeDays: 7, ...this.settings.notifications };
+
+		// Backfills and catch-up post old messages, which their authors don't need to hear about
+		if (Date.now() - message.createdTimestamp > settings.maxMessageAgeDays * 24 * HOUR_MS) return;
+		if (!await getNotificationsEnabled(message.author.id)) return;
+
+		// Entries are deleted when a message drops below the threshold, so what the author was already
+		// told is kept apart from them. Coming back, or reaching a tier again, isn't announced twice.
+		const stateKey = `fireboard.notified.${board.id}.${message.id}`;
+		const level = tier?.level ?? 0;
+		const notifiedLevel = await getState(stateKey);
+		if (notifiedLevel !== null && notifiedLevel >= level) return;
+
+		const content = createAuthorNotification(board, tier, totalValidReactionCount, message.url, fireboardMessage.url);
 		try {
-			const fireboardMessage = await this.fireboardChannel.messages.fetch(entry.fireboardMessageId);
-			await fireboardMessage.delete();
-			console.log(`Deleted fireboard message ${entry.fireboardMessageId}`);
-		// eslint-disable-next-line no-unused-vars
+			if (settings.channelId) {
+				const channel = await this.client.channels.fetch(settings.channelId);
+				await channel.send({ content: `${message.author} ${content}`, allowedMentions: { users: [message.author.id] } });
+			} else {
+				await message.author.send(content);
+			}
+			await setState(stateKey, level);
+			console.log(`Notified ${message.author.id} about ${board.name} message ${fireboardMessage.id}`);
+		} catch (error) {
+			// Usually the author doesn't accept DMs from server members
+			console.error(`Could not notify ${message.author.id} about ${board.name} message ${fireboardMessage.id}:`, error);
+		}
+	}
+
+	// Hall of fame posts are a one-off copy of the post as it looked when it reached the top tier
+	async _crosspostToHallOfFame(board, messageId, embeds) {
+		const hallOfFameChannel = this.hallOfFameChannels.get(board.id);
+		if (!hallOfFameChannel) return;
+
+		try {
+			const hallOfFameMessage = await hallOfFameChannel.send({ embeds });
+			await updateEntry(board.id, messageId, { hallOfFameMessageId: hallOfFameMessage.id });
+			console.log(`Crossposted message ${messageId} to the ${board.name} hall of fame as message ${hallOfFameMessage.id}`);
+		} catch (error) {
+			console.error(`Could not crosspost message ${messageId} to the ${board.name} hall of fame:`, error);
+		}
+	}
+
+	// Depending on the board's archive mode, either removes the post or freezes it as it last was
+	async _handleSourceDeleted(board, entry) {
+		if (entry.sourceDeletedAt) return 'archived';
+
+		if (this.getArchiveMode(board) !== 'preserve' || !entry.snapshot) {
+			console.log(`Deleting ${board.name} entry for deleted message ${entry.messageId}`);
+			await this._deleteFireboardEntry(board, entry);
+			return 'deleted';
+		}
+
+		const sourceDeletedAt = new Date();
+
+		try {
+			const fireboardMessage = entry.fireboardMessageId && await this.boardChannels.get(board.id).messages.fetch(entry.fireboardMessageId);
+			if (fireboardMessage && this._canEditPost(board, fireboardMessage)) {
+				await this._editPost(board, fireboardMessage, this._renderArchivedEntry(board, entry, sourceDeletedAt));
+			}
 		} catch (error) {
-			console.log(`Fireboard message ${entry.fireboardMessageId} not found for deletion (may already be deleted)`);
+			console.error(`Could not mark ${board.name} message ${entry.fireboardMessageId} as archived:`, error);
+		}
+
+		await updateEntry(board.id, entry.messageId, { sourceDeletedAt });
+		console.log(`Archived ${board.name} entry for deleted message ${entry.messageId}`);
+		return 'archived';
+	}
+
+	_renderArchivedEntry(board, entry, sourceDeletedAt = entry.sourceDeletedAt) {
+		const snapshot = { ...entry.snapshot, deletedAt: sourceDeletedAt.getTime() };
+		return this._renderPost(board, snapshot, entry.reactionBreakdown ?? [], getTier(board, entry.validReactionCount));
+	}
+
+	// Board posts are embeds sent by the bot, or on boards with the webhook post style (and a working
+	// webhook), messages sent through the board's webhook in the author's name
+	_renderPost(board, snapshot, validReactions, tier) {
+		return this.boardWebhooks.has(board.id)
+			? createFireboardWebhookMessage(snapshot, validReactions, board, tier)
+			: { embeds: createFireboardEmbeds(snapshot, validReactions, board, tier) };
+	}
+
+	async _sendPost(board, post) {
+		const webhook = this.boardWebhooks.get(board.id);
+		return webhook ? webhook.send(post) : this.boardChannels.get(board.id).send(post);
+	}
+
+	// Only posts made in the board's current style can be edited into it
+	_canEditPost(board, fireboardMessage) {
+		const webhook = this.boardWebhooks.get(board.id);
+		return webhook ? fireboardMessage.webhookId === webhook.id : fireboardMessage.author.id === this.client.user.id;
+	}
+
+	_isOwnPost(board, fireboardMessage) {
+		return fireboardMessage.author.id === this.client.user.id
+			|| (!!fireboardMessage.webhookId && fireboardMessage.webhookId === this.boardWebhooks.get(board.id)?.id);
+	}
+
+	async _editPost(board, fireboardMessage, post) {
+		const webhook = this.boardWebhooks.get(board.id);
+		if (!webhook) return fireboardMessage.edit(post);
+
+		return webhook.editMessage(fireboardMessage, {
+			content: post.content,
+			embeds: post.embeds,
+			allowedMentions: post.allowedMentions,
+		});
+	}
+
+	async _deletePost(board, fireboardMessage) {
+		const webhook = this.boardWebhooks.get(board.id);
+		return webhook && fireboardMessage.webhookId === webhook.id
+			? webhook.deleteMessage(fireboardMessage)
+			: fireboardMessage.delete();
+	}
+
+	async _deleteFireboardEntry(board, entry) {
+		// Try to delete the fireboard message (imported entries may not have one yet)
+		if (entry.fireboardMessageId) {
+			try {
+				const fireboardMessage = await this.boardChannels.get(board.id).messages.fetch(entry.fireboardMessageId);
+				// Imported entries may point at another bot's post, which is left alone
+				if (this._isOwnPost(board, fireboardMessage)) {
+					await this._deletePost(board, fireboardMessage);
+					console.log(`Deleted ${board.name} message ${entry.fireboardMessageId}`);
+				} else {
+					console.log(`Left ${board.name} message ${entry.fireboardMessageId} in place, as this bot didn't post it`);
+				}
+			// eslint-disable-next-line no-unused-vars
+			} catch (error) {
+				console.log(`${board.name} message ${entry.fireboardMessageId} not found for deletion (may already be deleted)`);
+			}
+		}
+
+		// The hall of fame crosspost goes with it
+		const hallOfFameChannel = this.hallOfFameChannels.get(board.id);
+		if (entry.hallOfFameMessageId && hallOfFameChannel) {
+			try {
+				await hallOfFameChannel.messages.delete(entry.hallOfFameMessageId);
+				console.log(`Deleted ${board.name} hall of fame message ${entry.hallOfFameMessageId}`);
+			// eslint-disable-next-line no-unused-vars
+			} catch (error) {
+				console.log(`${board.name} hall of fame message ${entry.hallOfFameMessageId} not found for deletion (may already be deleted)`);
+			}
 		}
 
 		// Remove from database
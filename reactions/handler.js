@@ -33,7 +33,13 @@ module.exports.ReactionHandler = class {
 		const roleHandled = await this.roles.reactionAdd(reaction, user);
 
 		// If not handled by reaction roles, try fireboard
-		if (!roleHandled) {await this.fireboard.add(reaction, user);}
+		if (!roleHandled) {
+			try {
+				await this.fireboard.add(reaction, user);
+			} catch (error) {
+				console.error(`Error updating fireboard for message ${reaction.message.id}:`, error);
+			}
+		}
 	}
 
 	async remove(reaction, user) {
@@ -43,6 +49,12 @@ module.exports.ReactionHandler = class {
 		const roleHandled = await this.roles.reactionRemove(reaction, user);
 
 		// If not handled by reaction roles, try fireboard
-		if (!roleHandled) {await this.fireboard.remove(reaction, user);}
+		if (!roleHandled) {
+			try {
+				await this.fireboard.remove(reaction, user);
+			} catch (error) {
+				console.error(`Error updating fireboard for message ${reaction.message.id}:`, error);
+			}
+		}
 	}
 };
@@ -0,0 +1,144 @@
+const { DiscordAPIError, HTTPError } = require('discord.js');
+
+const DEFAULT_OPTIONS = {
+	debounceMs: 1000, // How long to wait for more requests before running a job
+	maxConcurrent: 2, // How many jobs may run at once
+	maxRetries: 3, // How many times a failed job is retried
+	retryDelayMs: 2000, // Base delay for exponential backoff between retries
+};
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Socket-level failures reaching Discord, as reported by undici or Node
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+function isNetworkError(error) {
+	// discord.js aborts requests that take too long, and fetch wraps socket errors in a `cause`
+	if (error.name === 'AbortError') return true;
+	const code = error.code ?? error.cause?.code;
+	return typeof code === 'string' && (NETWORK_ERROR_CODES.includes(code) || code.startsWith('UND_ERR_'));
+}
+
+// Only rate limits, server errors and network failures may succeed on retry. Client errors (unknown
+// message, missing access, ...) and bugs in the worker fail straight away.
+function isRetryable(error) {
+	if (error instanceof DiscordAPIError || error instanceof HTTPError) {
+		return error.status === 429 || error.status >= 500;
+	}
+	return isNetworkError(error);
+}
+
+// Per-key coalescing work queue. Requests for a key that is already queued are merged into the
+// queued run, and requests that arrive while a key is running are merged into one follow-up run,
+// so no request is ever dropped and a key is never processed twice at the same time.
+module.exports.RefreshQueue = class {
+	constructor(worker, options = {}, merge = (previous, next) => next) {
+		this.worker = worker;
+		this.merge = merge;
+		this.options = { ...DEFAULT_OPTIONS, ...options };
+		this.jobs = new Map(); // key -> { running, next: { payload, waiters } }
+		this.ready = []; // Keys whose debounce has elapsed, waiting for a free slot
+		this.active = 0;
+		this.pausedUntil = 0;
+		this.pumpTimer = null;
+	}
+
+	enqueue(key, payload) {
+		return new Promise((resolve, reject) => {
+			let job = this.jobs.get(key);
+			if (!job) {
+				job = { running: false, next: null };
+				this.jobs.set(key, job);
+			}
+
+			if (job.next) {
+				job.next.payload = this.merge(job.next.payload, payload);
+				job.next.waiters.push({ resolve, reject });
+				return;
+			}
+
+			job.next = { payload, waiters: [{ resolve, reject }] };
+
+			// A running job schedules its own follow-up once it finishes
+			if (!job.running) this._schedule(key);
+		});
+	}
+
+	// Stops new jobs from starting until the delay has passed, e.g. while rate limited
+	pause(ms) {
+		this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+	}
+
+	get size() {
+		return this.jobs.size;
+	}
+
+	_schedule(key) {
+		setTimeout(() => {
+			this.ready.push(key);
+			this._pump();
+		}, this.options.debounceMs);
+	}
+
+	_pump() {
+		const pausedFor = this.pausedUntil - Date.now();
+		if (pausedFor > 0) {
+			if (!this.pumpTimer) {
+				this.pumpTimer = setTimeout(() => {
+					this.pumpTimer = null;
+					this._pump();
+				}, pausedFor);
+			}
+			return;
+		}
+
+		while (this.active < this.options.maxConcurrent && this.ready.length > 0) {
+			this._run(this.ready.shift());
+		}
+	}
+
+	async _run(key) {
+		const job = this.jobs.get(key);
+		const { payload, waiters } = job.next;
+		job.next = null;
+		job.running = true;
+		this.active++;
+
+		try {
+			const result = await this._runWithRetry(key, payload);
+			waiters.forEach(waiter => waiter.resolve(result));
+		} catch (error) {
+			console.error(`Giving up on queued job ${key}:`, error);
+			waiters.forEach(waiter => waiter.reject(error));
+		} finally {
+			job.running = false;
+			this.active--;
+
+			if (job.next) {
+				this._schedule(key);
+			} else {
+				this.jobs.delete(key);
+			}
+
+			this._pump();
+		}
+	}
+
+	async _runWithRetry(key, payload) {
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await this.worker(payload);
+			} catch (error) {
+				if (attempt >= this.options.maxRetries || !isRetryable(error)) throw error;
+
+				const delay = this.options.retryDelayMs * 2 ** attempt;
+				if (error.status === 429) this.pause(delay);
+
+				console.warn(`Queued job ${key} failed (attempt ${attempt + 1}), retrying in ${delay}ms:`, error.message);
+				await sleep(delay);
+			}
+		}
+	}
+};
@@ -1,12 +1,106 @@
+const { RESTJSONErrorCodes, embedLength, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags, StringSelectMenuBuilder, StringSelectMenuOptionBuilder } = require('discord.js');
 const { reactionRoleSettings } = require('../config');
-const { updateReactionRoleMessageId } = require('../utils/configUtils');
 const { createReactionRolesEmbed } = require('../utils/embeds');
-const { emojisMatch, reactionExists } = require('../utils/reactionUtils');
+const { emojisMatch, reactionExists, fetchAllReactionUsers } = require('../utils/reactionUtils');
+const { getReconcileSettings } = require('../utils/configUtils');
+const { createPanel, getPanel, getPanels, updatePanel, deletePanel, getMappings, addMapping, removeMapping, addRoleCountSnapshots } = require('../utils/reactionRoleCrud');
+const { setTemporaryRole, removeTemporaryRole, getExpiredTemporaryRoles, getTemporaryRoleHolders } = require('../utils/temporaryRoleCrud');
+const { getState, setState } = require('../utils/stateCrud');
+
+const MAX_PANEL_ROLES = 20; // Discord allows 20 different reactions on a message
+const MAX_PANEL_EMBED_LENGTH = 5800; // Below Discord's 6000 so member counts still have room to grow
+const BUTTONS_PER_ROW = 5;
+const ONE_SHOT_MODES = ['verify', 'drop']; // Modes where the bot takes the reaction off again
+const COUNT_UPDATE_DELAY_MS = 30 * 1000; // Batches member count edits to panels while roles change
+const LEGACY_PANEL_NAME = 'roles';
+const LEGACY_PANEL_DESCRIPTION = 'React to this message to give yourself a role. In addition to being pingable, roles will unlock game-specific text channels.';
+
+function getRoleName(guild, roleId) {
+	return guild.roles.cache.get(roleId)?.name ?? 'Deleted role';
+}
+
+// Button panels get one toggle button per role. Select panels get a single button that opens a
+// role picker, since a menu on the shared panel message can't show what each member already has.
+function createPanelComponents(panel, mappings, guild) {
+	if (panel.style === 'buttons') {
+		const rows = [];
+		for (let i = 0; i < mappings.length; i += BUTTONS_PER_ROW) {
+			rows.push(new ActionRowBuilder().addComponents(mappings.slice(i, i + BUTTONS_PER_ROW).map(({ emoji, roleId }) =>
+				new ButtonBuilder()
+					.setCustomId(`reactionroles:toggle:${panel.id}:${roleId}`)
+					.setLabel(getRoleName(guild, roleId).slice(0, 80))
+					.setEmoji(emoji)
+					.setStyle(ButtonStyle.Secondary))));
+		}
+		return rows;
+	}
+
+	if (panel.style === 'select' && mappings.length > 0) {
+		return [new ActionRowBuilder().addComponents(
+			new ButtonBuilder()
+				.setCustomId(`reactionroles:pick:${panel.id}`)
+				.setLabel('Choose roles')
+				.setStyle(ButtonStyle.Primary))];
+	}
+
+	return [];
+}
+
+function getPickerPrompt(panel) {
+	switch (panel.mode) {
+	case 'unique':
+		return `Pick your role from **${panel.title}**. Picking another replaces it.`;
+	case 'verify':
+		return `Pick roles to add from **${panel.title}**. Roles can't be removed here.`;
+	case 'drop':
+		return `Unselect roles from **${panel.title}** to remove them. Roles can't be added here.`;
+	default:
+		return `Pick your roles from **${panel.title}**. Unselect a role to remove it.`;
+	}
+}
+
+// Multi-select of a panel's roles with the member's current ones already selected
+function createRolePicker(panel, mappings, member) {
+	// Never below what the member already holds, or Discord rejects the preselected options
+	const held = mappings.filter(({ roleId }) => member.roles.cache.has(roleId)).length;
+	const limit = panel.mode === 'unique' ? 1 : panel.maxRoles ?? mappings.length;
+
+	const menu = new StringSelectMenuBuilder()
+		.setCustomId(`reactionroles:select:${panel.id}`)
+		.setPlaceholder('No roles')
+		.setMinValues(0)
+		.setMaxValues(Math.min(Math.max(limit, held), mappings.length))
+		.addOptions(mappings.map(({ emoji, roleId, description }) => {
+			const option = new StringSelectMenuOptionBuilder()
+				.setLabel(getRoleName(member.guild, roleId).slice(0, 100))
+				.setValue(roleId)
+				.setEmoji(emoji)
+				.setDefault(member.roles.cache.has(roleId));
+			if (description) option.setDescription(description);
+			return option;
+		}));
+
+	return [new ActionRowBuilder().addComponents(menu)];
+}
+
+function formatRoleChanges({ added, removed, refusals }) {
+	const changes = [];
+	if (added.length > 0) changes.push(`Added ${added.map(roleId => `<@&${roleId}>`).join(', ')}.`);
+	if (removed.length > 0) changes.push(`Removed ${removed.map(roleId => `<@&${roleId}>`).join(', ')}.`);
+
+	const lines = [changes.length > 0 ? `✅ ${changes.join(' ')}` : 'Your roles are unchanged.'];
+	for (const refusal of refusals) lines.push(`🚫 ${refusal}`);
+	return lines.join('\n');
+}
 
 module.exports.ReactionRoles = class {
 	constructor(client) {
 		this.client = client;
 		this.settings = reactionRoleSettings;
+		this.panels = new Map(); // Panel message ID -> { panel, mappings }
+		this.staleCounts = new Set(); // Message IDs of panels whose member counts are out of date
+		this.countUpdateTimer = null;
+		this.memberQueues = new Map(); // Member ID -> the member's last queued role change
 	}
 
 	async initialize() {
@@ -14,13 +108,29 @@ module.exports.ReactionRoles = class {
 
 		if (!this.settings.enabled) {throw new Error('Reaction roles are disabled in config');}
 
-		if (Object.keys(this.settings.roleEmojis).length === 0) {throw new Error('No reaction role mappings configured');}
+		await this._importLegacyPanel();
+
+		// Member counts and reconciliation read role members from the member cache, which the Server
+		// Members intent keeps complete once it's been filled
+		for (const guild of this.client.guilds.cache.values()) {
+			try {
+				await guild.members.fetch();
+			} catch (error) {
+				console.error(`Could not fetch members of ${guild.name}:`, error);
+			}
+		}
+
+		for (const panel of await getPanels()) {
+			try {
+				await this._syncPanel(panel);
+			} catch (error) {
+				console.error(`Could not set up reaction role panel ${panel.name}:`, error);
+			}
+		}
 
-		this.channel = await this.client.channels.fetch(this.settings.channelId);
-		if (!this.channel) {throw new Error(`Cannot find channel with ID: ${this.settings.channelId}`);}
+		console.log(`Loaded ${this.panels.size} reaction role panels`);
 
-		const message = await this._getOrCreateMessage();
-		if (message) {await this._refreshMessage(message);}
+		if (getReconcileSettings().onStartup) await this._reconcileOnStartup();
 	}
 
 	async reactionAdd(reaction, user) {
@@ -31,19 +141,287 @@ module.exports.ReactionRoles = class {
 		return await this._handleRoleAction(reaction, user, 'remove');
 	}
 
+	// Buttons on component panels and the role picker they open; routed here by the reactionroles command
+	async handleComponent(interaction) {
+		const [, action, panelId, roleId] = interaction.customId.split(':');
+		const cached = this._getCachedPanel(panelId);
+		if (!this.settings.enabled || !cached) {
+			return interaction.reply({ content: 'This role panel no longer exists.', flags: MessageFlags.Ephemeral });
+		}
+
+		const { panel, mappings } = cached;
+		const member = interaction.member;
+
+		try {
+			switch (action) {
+			case 'toggle':
+			{
+				const mapping = mappings.find(m => m.roleId === roleId);
+				if (!mapping) {
+					return interaction.reply({ content: 'That role is no longer on this panel.', flags: MessageFlags.Ephemeral });
+				}
+
+				await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+				const result = await this._runForMember(member, current => {
+					const holding = current.roles.cache.has(roleId);
+					const change = panel.mode === 'verify' || (panel.mode !== 'drop' && !holding) ? 'add' : 'remove';
+					return this._pickRole(current, cached, mapping, change);
+				});
+				return interaction.editReply({ content: formatRoleChanges(result), allowedMentions: { parse: [] } });
+			}
+			case 'pick':
+				return interaction.reply({
+					content: getPickerPrompt(panel),
+					components: createRolePicker(panel, mappings, member),
+					flags: MessageFlags.Ephemeral,
+				});
+			case 'select':
+			{
+				// Removals go first so they free up room under the panel's role limit. The member's role
+				// cache isn't updated by our own changes, so the picks share one record of what they hold.
+				await interaction.deferUpdate();
+				const result = { added: [], removed: [], refusals: [] };
+				const picks = [
+					...mappings.filter(m => !interaction.values.includes(m.roleId) && panel.mode !== 'verify').map(m => [m, 'remove']),
+					...mappings.filter(m => interaction.values.includes(m.roleId) && panel.mode !== 'drop').map(m => [m, 'add']),
+				];
+				await this._runForMember(member, async current => {
+					const heldRoleIds = new Set(current.roles.cache.keys());
+					for (const [mapping, change] of picks) {
+						const { added, removed, refusals } = await this._pickRole(current, cached, mapping, change, heldRoleIds);
+						result.added.push(...added);
+						result.removed.push(...removed);
+						result.refusals.push(...refusals);
+					}
+				});
+				return interaction.editReply({ content: formatRoleChanges(result), components: [], allowedMentions: { parse: [] } });
+			}
+			}
+		} catch (error) {
+			console.error(`Could not update roles of ${member.user.tag} from panel ${panel.name}:`, error);
+			const reply = { content: '🚫 I couldn\'t update your roles. Ask a moderator to check my permissions.', components: [], flags: MessageFlags.Ephemeral };
+			return interaction.replied || interaction.deferred ? interaction.followUp(reply) : interaction.reply(reply);
+		}
+	}
+
+	// Lists, per reaction panel, the role changes that would make members' roles match their reactions.
+	// Verify and drop panels only act on reactions, so holding a role without reacting is fine there.
+	async planReconciliation(panelName = null) {
+		let panels = [...this.panels.values()];
+		if (panelName) {
+			const panel = await this._getPanel(panelName);
+			if (panel.style !== 'reactions') throw new Error(`The **${panel.name}** panel doesn't use reactions, so there's nothing to reconcile.`);
+			panels = panels.filter(cached => cached.panel.id === panel.id);
+		}
+
+		const plans = [];
+		for (const cached of panels.filter(({ panel }) => panel.style === 'reactions')) {
+			const message = await this._fetchPanelMessage(cached.panel);
+			if (!message) continue;
+
+			plans.push({ cached, message, changes: await this._planPanelReconciliation(message, cached) });
+		}
+		return plans;
+	}
+
+	// Makes at most `limit` of the planned changes, removals first so they free up room under role limits.
+	// Changes are checked against the member's current roles, since the plan may be out of date by now.
+	async applyReconciliation(plans, limit) {
+		let applied = 0;
+		let failed = 0;
+		const heldRoleIds = new Map(); // Member ID -> roles held, kept up to date across the member's changes
+
+		for (const { cached, message, changes } of plans) {
+			for (const { member, mapping, reacted } of changes) {
+				if (applied + failed >= limit) return { applied, failed };
+
+				try {
+					await this._runForMember(member, current => {
+						if (!heldRoleIds.has(current.id)) heldRoleIds.set(current.id, new Set(current.roles.cache.keys()));
+						return this._pickFromReaction(message, cached, current, mapping, reacted ? 'add' : 'remove', heldRoleIds.get(current.id));
+					});
+					applied++;
+				} catch (error) {
+					console.error(`Could not reconcile role ${mapping.roleId} of ${member.user.tag} on panel ${cached.panel.name}:`, error);
+					failed++;
+				}
+			}
+		}
+
+		return { applied, failed };
+	}
+
+	// Gives a member a role that is taken away again after `durationMinutes`. Giving it again, or giving
+	// a role the member already has, just sets a new expiry.
+	async giveTemporaryRole(member, role, durationMinutes) {
+		this._checkAssignable(role);
+
+		const expiresAt = new Date(Date.now() + durationMinutes * 60 * 1000);
+		await this._setRole(member, role.id, 'add');
+		if (!await setTemporaryRole(member.guild.id, member.id, role.id, expiresAt)) throw new Error('Could not save when the role expires.');
+		return expiresAt;
+	}
+
+	// Takes away temporary roles that have run out, along with the member's reactions for them on
+	// reaction panels (also for roles given with /temprole), so reconciling doesn't give them back.
+	// Run every minute by scheduler/jobs/expireTemporaryRoles.js.
+	async expireTemporaryRoles(now) {
+		for (const { guildId, userId, roleId } of await getExpiredTemporaryRoles(now)) {
+			try {
+				const member = await this.client.guilds.cache.get(guildId)?.members.fetch(userId).catch(() => null);
+				if (member) {
+					await this._setRole(member, roleId, 'remove');
+
+					for (const { panel, mappings } of this.panels.values()) {
+						const mapping = mappings.find(m => m.roleId === roleId);
+						const message = mapping && panel.style === 'reactions' ? await this._fetchPanelMessage(panel) : null;
+						if (message) await this._removeUserReactions(message, member.user, [mapping.emoji]);
+					}
+				}
+				console.log(`Temporary role ${roleId} of user ${userId} expired`);
+			} catch (error) {
+				console.error(`Could not take away expired temporary role ${roleId} of user ${userId}:`, error);
+			}
+
+			// Dropped even if taking the role away failed, so a broken role isn't retried every minute
+			await removeTemporaryRole(userId, roleId);
+		}
+	}
+
+	// Marks the panels showing any of the roles for a member count update. Edits are batched, since a
+	// busy panel can change roles faster than Discord lets the bot edit a message.
+	queueCountUpdate(roleIds) {
+		for (const [messageId, { mappings }] of this.panels) {
+			if (mappings.some(mapping => roleIds.includes(mapping.roleId))) this.staleCounts.add(messageId);
+		}
+
+		if (this.staleCounts.size === 0 || this.countUpdateTimer) return;
+		this.countUpdateTimer = setTimeout(() => this._updateCounts(), COUNT_UPDATE_DELAY_MS);
+	}
+
+	// Records how many members have each panel role; run daily by scheduler/jobs/roleCountSnapshot.js
+	async snapshotRoleCounts(takenAt) {
+		const counts = new Map();
+		for (const { panel, mappings } of this.panels.values()) {
+			const guild = this.client.channels.cache.get(panel.channelId)?.guild;
+			if (!guild) continue;
+
+			for (const [roleId, count] of this._getRoleCounts(mappings, guild)) counts.set(roleId, count);
+		}
+
+		if (counts.size > 0 && await addRoleCountSnapshots(takenAt, counts)) {
+			console.log(`Saved member counts of ${counts.size} panel roles`);
+		}
+	}
+
+	// Creates a panel and posts it; roles are added to it afterwards
+	async createPanel(name, channel, title, description = null, style = 'reactions') {
+		const { panel, created } = await createPanel(name, { channelId: channel.id, title, description, style });
+		if (!panel) throw new Error('Could not save the panel.');
+		if (!created) throw new Error(`There's already a panel named **${name}**.`);
+
+		return this._syncPanel(panel);
+	}
+
+	async addRole(panelName, emoji, role, description = null, requiredRole = null, durationMinutes = null) {
+		const panel = await this._getPanel(panelName);
+		const mappings = await getMappings(panel.id);
+
+		if (mappings.some(mapping => mapping.roleId === role.id)) throw new Error(`${role} is already on the **${panel.name}** panel.`);
+		if (mappings.some(mapping => emojisMatch(mapping.emoji, emoji))) throw new Error(`${emoji} is already used on the **${panel.name}** panel.`);
+		if (mappings.length >= MAX_PANEL_ROLES) throw new Error(`A panel can hold at most ${MAX_PANEL_ROLES} roles.`);
+		if (requiredRole?.id === role.id) throw new Error(`${role} can't require itself.`);
+		this._checkAssignable(role);
+
+		// Reacting first is how we find out whether the bot can use the emoji at all. On component
+		// panels the reaction is taken off again when the panel is synced.
+		const message = await this._fetchPanelMessage(panel);
+		try {
+			await message?.react(emoji);
+		// eslint-disable-next-line no-unused-vars
+		} catch (error) {
+			throw new Error(`${emoji} isn't an emoji I can use. Use a standard emoji or one from this server.`);
+		}
+
+		const channel = await this.client.channels.fetch(panel.channelId);
+		const newMappings = [...mappings, { emoji, roleId: role.id, description, requiredRoleId: requiredRole?.id, durationMinutes }];
+		const embed = createReactionRolesEmbed(panel, newMappings, this._getRoleCounts(newMappings, channel.guild));
+		if (embedLength(embed.data) > MAX_PANEL_EMBED_LENGTH) {
+			throw new Error(`The **${panel.name}** panel has no room left for another role. Remove a role or add this one with a shorter description.`);
+		}
+
+		if (!await addMapping(panel.id, emoji, role.id, description, requiredRole?.id, durationMinutes)) throw new Error('Could not save the role.');
+		try {
+			await this._syncPanel(panel);
+		} catch (error) {
+			// Keep the panel working with the roles it had
+			await removeMapping(panel.id, role.id);
+			await this._syncPanel(panel).catch(syncError => console.error(`Could not restore reaction role panel ${panel.name}:`, syncError));
+			throw error;
+		}
+	}
+
+	// Members keep the role; they just can't pick it from the panel any more
+	async removeRole(panelName, role) {
+		const panel = await this._getPanel(panelName);
+		if (!await removeMapping(panel.id, role.id)) throw new Error(`${role} isn't on the **${panel.name}** panel.`);
+
+		await this._syncPanel(panel);
+	}
+
+	// Changes the panel's style, mode or role limit
+	async updateSettings(panelName, updates) {
+		const panel = await this._getPanel(panelName);
+		if (!await updatePanel(panel.id, updates)) throw new Error('Could not save the panel.');
+
+		Object.assign(panel, updates);
+		await this._syncPanel(panel);
+	}
+
+	async deletePanel(panelName) {
+		const panel = await this._getPanel(panelName);
+
+		try {
+			await (await this._fetchPanelMessage(panel))?.delete();
+		} catch (error) {
+			console.error(`Could not delete message of reaction role panel ${panel.name}:`, error);
+		}
+
+		if (!await deletePanel(panel)) throw new Error('Could not delete the panel.');
+		this.panels.delete(panel.messageId);
+		console.log(`Deleted reaction role panel ${panel.name}`);
+	}
+
+	_getCachedPanel(panelId) {
+		return [...this.panels.values()].find(({ panel }) => `${panel.id}` === `${panelId}`) ?? null;
+	}
+
+	async _getPanel(name) {
+		const panel = await getPanel(name);
+		if (!panel) throw new Error(`There's no panel named **${name}**.`);
+		return panel;
+	}
+
+	_checkAssignable(role) {
+		if (role.managed || role.id === role.guild.id) throw new Error(`${role} is managed by Discord or an integration and can't be handed out.`);
+		if (!role.editable) throw new Error(`${role} is above my highest role, so I can't hand it out. Move my role above it first.`);
+	}
+
 	async _handleRoleAction(reaction, user, action) {
 		// Quick checks for early exit
-		if (!this.settings.enabled ||
-            reaction.message.id !== this.settings.messageId ||
-            user.bot) { // If user is bot, ignore
-			return this.settings.enabled && reaction.message.id === this.settings.messageId;
-		}
+		const cached = this.settings.enabled ? this.panels.get(reaction.message.id) : null;
+		if (!cached) return false;
+		if (user.bot) return true; // If user is bot, ignore
+		if (cached.panel.style !== 'reactions') return true; // Component panels ignore reactions
+
+		// Verify and drop panels only act on new reactions, including on the bot taking them off again
+		if (ONE_SHOT_MODES.includes(cached.panel.mode) && action === 'remove') return true;
 
 		const emoji = reaction.emoji.toString();
-		const roleId = this.settings.roleEmojis[emoji];
+		const mapping = cached.mappings.find(m => emojisMatch(m.emoji, emoji));
 
-		if (!roleId) {
-			console.log(`No role mapping found for emoji: ${emoji}`);
+		if (!mapping) {
+			console.log(`No role mapping found for emoji ${emoji} on panel ${cached.panel.name}`);
 			return true;
 		}
 
@@ -56,87 +434,287 @@ module.exports.ReactionRoles = class {
 			return true;
 		}
 
-		const role = guild.roles.cache.get(roleId);
+		await this._runForMember(member, current => this._pickFromReaction(reaction.message, cached, current, mapping, action));
+		return true;
+	}
+
+	// Runs one member's role changes from panels one at a time, each starting from roles fetched fresh
+	// (our own changes don't reach the member cache until Discord sends an update). Otherwise two quick
+	// clicks or reactions could both pass a panel's checks against the same roles.
+	_runForMember(member, task) {
+		const previous = this.memberQueues.get(member.id) ?? Promise.resolve();
+		const run = previous.then(async () => task(await member.guild.members.fetch({ user: member.id, force: true })));
+
+		const done = run.catch(() => null);
+		this.memberQueues.set(member.id, done);
+		done.then(() => {
+			if (this.memberQueues.get(member.id) === done) this.memberQueues.delete(member.id);
+		});
+		return run;
+	}
+
+	// Applies a member reacting (add) or unreacting (remove) with a mapping's emoji
+	async _pickFromReaction(message, cached, member, mapping, action, heldRoleIds = new Set(member.roles.cache.keys())) {
+		const result = await this._pickRole(member, cached, mapping, cached.panel.mode === 'drop' ? 'remove' : action, heldRoleIds);
+		for (const refusal of result.refusals) console.log(`Refused role ${mapping.roleId} to ${member.user.displayName}: ${refusal}`);
+
+		// Take off reactions that no longer match the member's roles, so the panel reflects reality
+		const staleEmojis = action === 'add'
+			? cached.mappings.filter(m => result.removed.includes(m.roleId)).map(m => m.emoji)
+			: [];
+		if (ONE_SHOT_MODES.includes(cached.panel.mode) || result.refusals.length > 0) staleEmojis.push(mapping.emoji);
+		await this._removeUserReactions(message, member.user, [...new Set(staleEmojis)]);
+	}
+
+	// Adds or removes one of a panel's roles, applying the panel's mode, the role's prerequisite and
+	// the panel's role limit. Returns the role IDs added and removed and why an add was refused.
+	// `heldRoleIds` is kept up to date with the changes made, for callers that pick several roles.
+	async _pickRole(member, { panel, mappings }, mapping, action, heldRoleIds = new Set(member.roles.cache.keys())) {
+		const result = { added: [], removed: [], refusals: [] };
+
+		if (action === 'remove') {
+			if (await this._setRole(member, mapping.roleId, 'remove', heldRoleIds)) result.removed.push(mapping.roleId);
+			return result;
+		}
+
+		if (heldRoleIds.has(mapping.roleId)) return result;
+
+		if (mapping.requiredRoleId && !heldRoleIds.has(mapping.requiredRoleId)) {
+			result.refusals.push(`You need <@&${mapping.requiredRoleId}> before you can pick <@&${mapping.roleId}>.`);
+			return result;
+		}
+
+		const held = mappings.filter(m => heldRoleIds.has(m.roleId));
+		if (panel.mode !== 'unique' && panel.maxRoles && held.length >= panel.maxRoles) {
+			result.refusals.push(`You can only have ${panel.maxRoles} of the roles on **${panel.title}**. Remove one to pick <@&${mapping.roleId}>.`);
+			return result;
+		}
+
+		if (!await this._setRole(member, mapping.roleId, 'add', heldRoleIds)) return result;
+		result.added.push(mapping.roleId);
+
+		if (mapping.durationMinutes) {
+			const expiresAt = new Date(Date.now() + mapping.durationMinutes * 60 * 1000);
+			await setTemporaryRole(member.guild.id, member.id, mapping.roleId, expiresAt, panel.id);
+		}
+
+		// Unique panels swap out whatever the member held before
+		if (panel.mode === 'unique') {
+			for (const other of held) {
+				if (await this._setRole(member, other.roleId, 'remove', heldRoleIds)) result.removed.push(other.roleId);
+			}
+		}
+
+		return result;
+	}
+
+	async _planPanelReconciliation(message, { panel, mappings }) {
+		const removals = [];
+		const additions = [];
+
+		for (const mapping of mappings) {
+			const role = message.guild.roles.cache.get(mapping.roleId);
+			if (!role) continue;
+
+			const reaction = message.reactions.cache.find((_, key) => emojisMatch(key, mapping.emoji));
+			const reactors = reaction ? (await fetchAllReactionUsers(reaction)).filter(user => !user.bot) : [];
+
+			for (const user of reactors) {
+				const member = message.guild.members.cache.get(user.id);
+				if (!member) continue; // Left the server
+
+				if (panel.mode === 'drop') {
+					if (member.roles.cache.has(role.id)) removals.push({ member, mapping, action: 'remove', reacted: true });
+				} else if (!member.roles.cache.has(role.id)) {
+					additions.push({ member, mapping, action: 'add', reacted: true });
+				}
+			}
+
+			if (ONE_SHOT_MODES.includes(panel.mode)) continue;
+
+			// Temporary roles given with /temprole come without a reaction but run out on their own
+			const keepIds = new Set([...reactors.map(user => user.id), ...await getTemporaryRoleHolders(role.id)]);
+			for (const member of role.members.values()) {
+				if (!member.user.bot && !keepIds.has(member.id)) removals.push({ member, mapping, action: 'remove', reacted: false });
+			}
+		}
+
+		return [...removals, ...additions];
+	}
+
+	// Catches up on reactions added or removed while the bot was offline. More changes than the limit
+	// are more likely a mistake (e.g. a role that was also handed out by hand) than missed reactions,
+	// so those are left for an admin to review with /reactionroles reconcile.
+	async _reconcileOnStartup() {
+		const { maxChanges } = getReconcileSettings();
+
+		try {
+			const plans = await this.planReconciliation();
+			const total = plans.reduce((sum, plan) => sum + plan.changes.length, 0);
+			if (total === 0) return;
+
+			if (total > maxChanges) {
+				console.warn(`Reaction role reconciliation found ${total} role changes, more than the limit of ${maxChanges}. Review them with /reactionroles reconcile.`);
+				return;
+			}
+
+			const { applied, failed } = await this.applyReconciliation(plans, maxChanges);
+			console.log(`Reconciled reaction roles: ${applied} changes made, ${failed} failed`);
+		} catch (error) {
+			console.error('Error reconciling reaction roles:', error);
+		}
+	}
+
+	async _removeUserReactions(message, user, emojis) {
+		for (const emoji of emojis) {
+			const reaction = message.reactions.cache.find((_, key) => emojisMatch(key, emoji));
+			try {
+				await reaction?.users.remove(user);
+			} catch (error) {
+				console.error(`Could not remove reaction ${emoji} of ${user.displayName} on panel message ${message.id}:`, error);
+			}
+		}
+	}
+
+	// Adds or removes a role; returns whether the member's roles actually changed
+	// Adding or removing a role doesn't update `member` itself, only `heldRoleIds` if one is passed in
+	async _setRole(member, roleId, action, heldRoleIds = new Set(member.roles.cache.keys())) {
+		const role = member.guild.roles.cache.get(roleId);
 		if (!role) {
 			console.error(`Role with ID ${roleId} not found`);
-			return true;
+			return false;
 		}
 
-		const hasRole = member.roles.cache.has(role.id);
+		const hasRole = heldRoleIds.has(role.id);
 
 		if (action === 'add') {
 			if (hasRole) {
-				console.log(`User ${user.displayName} already has role ${role.name}`);
-				return true;
+				console.log(`User ${member.user.displayName} already has role ${role.name}`);
+				return false;
 			}
 			await member.roles.add(role);
-			console.log(`Added role ${role.name} to ${user.displayName}`);
+			heldRoleIds.add(role.id);
+			this.queueCountUpdate([role.id]);
+			console.log(`Added role ${role.name} to ${member.user.displayName}`);
 		} else if (action === 'remove') {
 			if (!hasRole) {
-				console.log(`User ${user.displayName} doesn't have role ${role.name}`);
-				return true;
+				console.log(`User ${member.user.displayName} doesn't have role ${role.name}`);
+				return false;
 			}
 			await member.roles.remove(role);
-			console.log(`Removed role ${role.name} from ${user.displayName}`);
+			heldRoleIds.delete(role.id);
+			await removeTemporaryRole(member.id, role.id);
+			this.queueCountUpdate([role.id]);
+			console.log(`Removed role ${role.name} from ${member.user.displayName}`);
 		}
 
 		return true;
 	}
 
-	async _getOrCreateMessage() {
-		// Try to fetch existing message
-		if (this.settings.messageId) {
-			try {
-				const message = await this.channel.messages.fetch(this.settings.messageId);
-				console.log(`Found existing reaction role message: ${this.settings.messageId}`);
-				return message;
-			} catch (error) {
-				console.log(`Could not fetch message with ID ${this.settings.messageId}, will create new one\n\n`, error);
-				this.settings.messageId = null;
-			}
+	// The single panel from reactionRoleSettings in config.js becomes the "roles" panel, once
+	async _importLegacyPanel() {
+		const { channelId, messageId, roleEmojis = {} } = this.settings;
+		if (!channelId || Object.keys(roleEmojis).length === 0) return;
+		if (await getState('reactionRoles.legacyImported')) return;
+
+		const { panel, created } = await createPanel(LEGACY_PANEL_NAME, {
+			channelId,
+			messageId: messageId || null,
+			title: 'Reaction Roles',
+			description: LEGACY_PANEL_DESCRIPTION,
+		});
+		if (!panel) return;
+
+		if (created) {
+			for (const [emoji, roleId] of Object.entries(roleEmojis)) await addMapping(panel.id, emoji, roleId);
+			console.log(`Imported ${Object.keys(roleEmojis).length} reaction roles from config as panel ${LEGACY_PANEL_NAME}`);
 		}
+		await setState('reactionRoles.legacyImported', true);
+	}
 
-		// Create new message
-		const embed = createReactionRolesEmbed(this.settings.roleEmojis);
-		const message = await this.channel.send({ embeds: [embed] });
+	async _fetchPanelMessage(panel) {
+		if (!panel.messageId) return null;
+
+		const channel = await this.client.channels.fetch(panel.channelId);
+		try {
+			return await channel.messages.fetch(panel.messageId);
+		} catch (error) {
+			if (error.code !== RESTJSONErrorCodes.UnknownMessage) throw error;
+			return null;
+		}
+	}
+
+	// Reposts the panel if its message is gone, brings the embed, buttons and reactions up to date and caches it
+	async _syncPanel(panel) {
+		const mappings = await getMappings(panel.id);
+		const channel = await this.client.channels.fetch(panel.channelId);
+		const content = {
+			embeds: [createReactionRolesEmbed(panel, mappings, this._getRoleCounts(mappings, channel.guild))],
+			components: createPanelComponents(panel, mappings, channel.guild),
+		};
+
+		let message = await this._fetchPanelMessage(panel);
 		if (message) {
-			updateReactionRoleMessageId(message.id);
-			console.log(`Created new reaction role message: ${message.id}`);
+			await message.edit(content);
+		} else {
+			message = await channel.send(content);
+			this.panels.delete(panel.messageId);
+			await updatePanel(panel.id, { messageId: message.id });
+			panel.messageId = message.id;
+			console.log(`Posted reaction role panel ${panel.name} as message ${message.id}`);
 		}
 
+		// Component panels keep no reactions, so switching away from reactions clears the bot's
+		await this._syncReactions(message, panel.style === 'reactions' ? mappings : []);
+		this.panels.set(message.id, { panel, mappings });
 		return message;
 	}
 
-	async _refreshMessage(message) {
-		// Clean up old reactions first
-		const configEmojis = Object.keys(this.settings.roleEmojis);
-		const reactionsToRemove = [];
+	// Role ID -> how many members have it; roles that no longer exist are left out
+	_getRoleCounts(mappings, guild) {
+		const counts = new Map();
+		for (const { roleId } of mappings) {
+			const role = guild.roles.cache.get(roleId);
+			if (role) counts.set(roleId, role.members.size);
+		}
+		return counts;
+	}
 
-		for (const [emoji, reaction] of message.reactions.cache) {
-			const shouldKeep = configEmojis.some(configEmoji =>
-				emojisMatch(emoji, configEmoji),
-			);
+	async _updateCounts() {
+		this.countUpdateTimer = null;
+		const messageIds = [...this.staleCounts];
+		this.staleCounts.clear();
+
+		for (const messageId of messageIds) {
+			const cached = this.panels.get(messageId);
+			if (!cached) continue; // Deleted or reposted in the meantime
 
-			if (!shouldKeep) {
-				reactionsToRemove.push(reaction);
+			try {
+				const message = await this._fetchPanelMessage(cached.panel);
+				if (!message) continue; // Reposted on the next startup
+
+				const counts = this._getRoleCounts(cached.mappings, message.guild);
+				await message.edit({ embeds: [createReactionRolesEmbed(cached.panel, cached.mappings, counts)] });
+			} catch (error) {
+				console.error(`Could not update member counts on panel ${cached.panel.name}:`, error);
 			}
 		}
+	}
 
-		for (const reaction of reactionsToRemove) {
-			await reaction.users.remove(reaction.message.client.user);
+	async _syncReactions(message, mappings) {
+		// Clean up old reactions first
+		for (const [emoji, reaction] of message.reactions.cache) {
+			if (mappings.some(mapping => emojisMatch(emoji, mapping.emoji))) continue;
+
+			await reaction.users.remove(this.client.user);
 			console.log(`Removed reaction: ${reaction.emoji}`);
 		}
 
-		// Update the embed
-		const embed = createReactionRolesEmbed(this.settings.roleEmojis);
-		await message.edit({ embeds: [embed] });
-		console.log('Updated reaction roles embed with current config');
-
 		// Add new reactions
-		for (const emojiStr of Object.keys(this.settings.roleEmojis)) {
-			if (!reactionExists(message, emojiStr)) {
-				await message.react(emojiStr);
-				console.log(`Added reaction: ${emojiStr}`);
+		for (const { emoji } of mappings) {
+			if (!reactionExists(message, emoji)) {
+				await message.react(emoji);
+				console.log(`Added reaction: ${emoji}`);
 			}
 		}
 	}
@@ -0,0 +1,7 @@
+module.exports = {
+	name: 'roles.expireTemporaryRoles',
+	schedule: 'minutely',
+	async execute(client, { end }) {
+		await client.reactionHandler.roles.expireTemporaryRoles(end);
+	},
+};
@@ -0,0 +1,11 @@
+const { getDigestSettings } = require('../../utils/configUtils');
+
+module.exports = {
+	name: 'fireboard.monthlyDigest',
+	schedule: 'monthly',
+	enabled: () => getDigestSettings().monthly,
+	async execute(client, { start, end }) {
+		const month = start.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+		await client.reactionHandler.fireboard.postDigests(month, start, end);
+	},
+};
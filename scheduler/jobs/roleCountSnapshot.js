@@ -0,0 +1,7 @@
+module.exports = {
+	name: 'roles.dailyCountSnapshot',
+	schedule: 'daily',
+	async execute(client, { end }) {
+		await client.reactionHandler.roles.snapshotRoleCounts(end);
+	},
+};
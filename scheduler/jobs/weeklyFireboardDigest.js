@@ -0,0 +1,10 @@
+const { getDigestSettings } = require('../../utils/configUtils');
+
+module.exports = {
+	name: 'fireboard.weeklyDigest',
+	schedule: 'weekly',
+	enabled: () => getDigestSettings().weekly,
+	async execute(client, { start, end }) {
+		await client.reactionHandler.fireboard.postDigests(`Week of ${start.toISOString().slice(0, 10)}`, start, end);
+	},
+};
@@ -0,0 +1,110 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { getState, setState } = require('../utils/stateCrud');
+
+const TICK_INTERVAL_MS = 60 * 1000;
+
+// The most recent period of a schedule that has fully ended by `date`. Minutely periods start on the
+// minute; the others start at midnight UTC, with weeks starting on Monday and months on the 1st.
+function getLastPeriod(schedule, date) {
+	if (schedule === 'minutely') {
+		const minuteEnd = new Date(Math.floor(date.getTime() / 60000) * 60000);
+		return { start: new Date(minuteEnd.getTime() - 60000), end: minuteEnd };
+	}
+
+	const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+	const start = new Date(end);
+
+	switch (schedule) {
+	case 'daily':
+		start.setUTCDate(end.getUTCDate() - 1);
+		break;
+	case 'weekly':
+		end.setUTCDate(end.getUTCDate() - (end.getUTCDay() + 6) % 7);
+		start.setTime(end.getTime());
+		start.setUTCDate(end.getUTCDate() - 7);
+		break;
+	case 'monthly':
+		end.setUTCDate(1);
+		start.setTime(end.getTime());
+		start.setUTCMonth(end.getUTCMonth() - 1);
+		break;
+	default:
+		throw new Error(`Unknown schedule: ${schedule}`);
+	}
+
+	return { start, end };
+}
+
+// Jobs are loaded from scheduler/jobs/, one per file, the same way events are loaded from events/
+function loadJobs() {
+	const jobsPath = path.join(__dirname, 'jobs');
+	const jobs = [];
+
+	for (const file of fs.readdirSync(jobsPath).filter(name => name.endsWith('.js'))) {
+		const job = require(path.join(jobsPath, file));
+		if ('name' in job && 'schedule' in job && 'execute' in job) {
+			jobs.push(job);
+		} else {
+			console.log(`[WARNING] The job at ${file} is missing a required "name", "schedule" or "execute" property.`);
+		}
+	}
+
+	return jobs;
+}
+
+// Runs each job once per period of its schedule, shortly after the period ends. The end of the last
+// period a job ran for is stored in BotState, so a restart neither repeats nor skips a run: a period
+// that ended while the bot was offline is run as soon as it's back.
+module.exports.Scheduler = class {
+	constructor(client) {
+		this.client = client;
+		this.jobs = loadJobs();
+		this.ticking = false;
+	}
+
+	async start() {
+		console.log(`Starting scheduler with ${this.jobs.length} jobs`);
+
+		await this._tick();
+		setInterval(() => this._tick(), TICK_INTERVAL_MS);
+	}
+
+	async _tick() {
+		// A slow job can outlast the interval; the next tick would see it as still due
+		if (this.ticking) return;
+		this.ticking = true;
+
+		try {
+			for (const job of this.jobs) await this._runIfDue(job, new Date());
+		} finally {
+			this.ticking = false;
+		}
+	}
+
+	async _runIfDue(job, now) {
+		if (job.enabled && !job.enabled()) return;
+
+		const key = `scheduler.lastRun.${job.name}`;
+		const period = getLastPeriod(job.schedule, now);
+		const lastRun = await getState(key);
+
+		// On the first start there's nothing to catch up on, so wait for the current period to end
+		if (!lastRun) {
+			await setState(key, period.end.toISOString());
+			return;
+		}
+		if (new Date(lastRun) >= period.end) return;
+
+		// Minutely jobs would flood the log
+		if (job.schedule !== 'minutely') console.log(`Running scheduled job ${job.name} for ${period.start.toISOString()} to ${period.end.toISOString()}`);
+		try {
+			await job.execute(this.client, period);
+		} catch (error) {
+			console.error(`Error running scheduled job ${job.name}:`, error);
+		}
+
+		// Recorded even if the job failed, so a broken job doesn't run again every minute
+		await setState(key, period.end.toISOString());
+	}
+};
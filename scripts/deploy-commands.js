@@ -1,29 +1,12 @@
 const { REST, Routes } = require('discord.js');
-const fs = require('node:fs');
-const path = require('node:path');
 const { discordToken, discordClientId, discordGuildId } = require('../config.js');
+const { loadCommands, getCommandTypeName } = require('../utils/commandUtils');
 
-const commands = [];
-// Grab all the command folders from the commands directory you created earlier
-const foldersPath = path.join(__dirname, '../commands');
-const commandFolders = fs.readdirSync(foldersPath);
-
-for (const folder of commandFolders) {
-	// Grab all the command files from the commands directory you created earlier
-	const commandsPath = path.join(foldersPath, folder);
-	const commandFiles = fs.readdirSync(commandsPath).filter(file => file.endsWith('.js'));
-	// Grab the SlashCommandBuilder#toJSON() output of each command's data for deployment
-	for (const file of commandFiles) {
-		const filePath = path.join(commandsPath, file);
-		const command = require(filePath);
-		if ('data' in command && 'execute' in command) {
-			commands.push(command.data.toJSON());
-			console.log(`Loaded command: ${command.data.name} from ${filePath}`);
-		} else {
-			console.log(`[WARNING] The command at ${filePath} is missing a required "data" or "execute" property.`);
-		}
-	}
-}
+// Grab the toJSON() output of each slash and context menu command's data for deployment
+const commands = loadCommands().map(command => {
+	console.log(`Loaded ${getCommandTypeName(command)}: ${command.data.name}`);
+	return command.data.toJSON();
+});
 
 // Construct and prepare an instance of the REST module
 const rest = new REST().setToken(discordToken);
@@ -0,0 +1,65 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { initializeDatabase } = require('../database');
+const { hasEntry, createEntry } = require('../utils/fireboardCrud');
+const { parseEntries } = require('../utils/exportUtils');
+const { LEGACY_BOARD_ID } = require('../utils/configUtils');
+
+// Flags can come before or after the file, so `--board` takes the argument that follows it
+const args = process.argv.slice(2);
+let filePath = null;
+let defaultBoardId = LEGACY_BOARD_ID;
+let dryRun = false;
+for (let i = 0; i < args.length; i++) {
+	if (args[i] === '--board') {
+		defaultBoardId = args[++i];
+	} else if (args[i] === '--dry-run') {
+		dryRun = true;
+	} else if (!args[i].startsWith('--') && !filePath) {
+		filePath = args[i];
+	} else {
+		filePath = null; // Unknown flags and extra files show the usage
+		break;
+	}
+}
+
+if (!filePath || !defaultBoardId) {
+	console.log('Usage: node scripts/import-fireboard.js <file.json|file.csv> [--board <boardId>] [--dry-run]');
+	console.log('--board sets the board for records that don\'t name one (defaults to "fireboard").');
+	process.exit(1);
+}
+
+(async () => {
+	const format = path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json';
+	const { entries, skipped } = parseEntries(fs.readFileSync(filePath, 'utf8'), format, defaultBoardId);
+	console.log(`Read ${entries.length} entries from ${filePath} (${skipped} records skipped for missing message or author IDs)`);
+
+	// A dry run only reads, so it doesn't migrate the database either
+	await initializeDatabase({ readOnly: dryRun });
+
+	let imported = 0;
+	let existing = 0;
+	let failed = 0;
+	for (const { boardId, messageId, ...fields } of entries) {
+		if (await hasEntry(boardId, messageId)) {
+			existing++;
+			continue;
+		}
+
+		if (!dryRun && !await createEntry(boardId, messageId, { ...fields, imported: true })) {
+			console.error(`Could not import entry for message ${messageId} on board ${boardId}`);
+			failed++;
+			continue;
+		}
+		imported++;
+	}
+
+	console.log(`${dryRun ? 'Would import' : 'Imported'} ${imported} entries, ${existing} already existed${failed > 0 ? `, ${failed} failed` : ''}`);
+	if (imported > 0 && !dryRun) {
+		console.log('Entries without a post by this bot are posted the next time they are refreshed, e.g. on startup or with /fireboard audit repair.');
+	}
+	process.exit(failed > 0 ? 1 : 0);
+})().catch(error => {
+	console.error(error);
+	process.exit(1);
+});
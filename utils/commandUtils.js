@@ -0,0 +1,37 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { ApplicationCommandType } = require('discord.js');
+
+const COMMAND_TYPE_NAMES = {
+	[ApplicationCommandType.ChatInput]: 'slash command',
+	[ApplicationCommandType.Message]: 'message context menu command',
+	[ApplicationCommandType.User]: 'user context menu command',
+};
+
+// Loads every command module under commands/<category>/. Slash commands export a SlashCommandBuilder
+// as `data`, context menu commands a ContextMenuCommandBuilder; both export `execute(interaction)`.
+module.exports.loadCommands = function() {
+	const commands = [];
+	const foldersPath = path.join(__dirname, '../commands');
+
+	for (const folder of fs.readdirSync(foldersPath)) {
+		const commandsPath = path.join(foldersPath, folder);
+		const commandFiles = fs.readdirSync(commandsPath).filter(file => file.endsWith('.js'));
+		for (const file of commandFiles) {
+			const filePath = path.join(commandsPath, file);
+			const command = require(filePath);
+			if ('data' in command && 'execute' in command) {
+				commands.push(command);
+			} else {
+				console.log(`[WARNING] The command at ${filePath} is missing a required "data" or "execute" property.`);
+			}
+		}
+	}
+
+	return commands;
+};
+
+module.exports.getCommandTypeName = function(command) {
+	// Slash command builders don't set a type, as it's the default
+	return COMMAND_TYPE_NAMES[command.data.type ?? ApplicationCommandType.ChatInput];
+};
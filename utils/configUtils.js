@@ -1,36 +1,93 @@
-const fs = require('fs');
 const path = require('path');
 
 const configPath = path.join(__dirname, '../config.js');
 
-function updateConfigField(section, field, value) {
-	// Clear require cache
-	delete require.cache[require.resolve(configPath)];
-	const config = require(configPath);
+// Board that entries from before multiple boards belong to
+const LEGACY_BOARD_ID = 'fireboard';
+module.exports.LEGACY_BOARD_ID = LEGACY_BOARD_ID;
 
-	if (!config) {
-		return;
-	}
+// Board settings that fall back to the top level of fireboardSettings, then to these defaults
+const BOARD_DEFAULTS = {
+	threshold: 3,
+	excludeAuthorReactions: true,
+	validReactions: [],
+	color: 0xFF4500, // Orange-red color for fire theme
+	freezeContent: false,
+	showEditedMarker: true,
+	emojiWeights: {}, // Emoji -> how much one reaction with it is worth
+	roleMultipliers: {}, // Role ID -> multiplier for voters with that role (the highest applies)
+	tiers: [], // { threshold, emoji, label, color } presentation levels above the threshold
+	announceTierPromotions: true,
+	hallOfFameChannelId: null, // Posts reaching the top tier are crossposted here
+	archiveMode: 'delete', // What happens to a post when its source message is deleted: 'delete' or 'preserve'
+	postStyle: 'embed', // 'embed' posts from the bot, or 'webhook' posts in the author's name and avatar
+	digestChannelId: null, // Scheduled "Best of" digests are posted here
+};
+
+// Merged key by key, so e.g. a global blocklist can be combined with board-specific role rules
+const VOTER_RULE_DEFAULTS = {
+	ignoreBots: false,
+	minAccountAgeDays: 0,
+	minMemberDays: 0,
+	requiredRoles: [], // Voters need at least one of these roles
+	excludedRoles: [], // Voters with any of these roles don't count
+	blockedUsers: [],
+};
+
+// Boards from fireboardSettings.boards, or a single board built from the older flat settings
+module.exports.getFireboardBoards = function() {
+	const { fireboardSettings } = require(configPath);
 
-	if (!config[section]) {
-		console.error(`Section '${section}' not found in config`);
-		return;
-	}
+	const boards = fireboardSettings.boards ?? [{
+		id: LEGACY_BOARD_ID,
+		name: 'Fireboard',
+		channelId: fireboardSettings.channelId,
+	}];
 
-	if (!(field in config[section])) {
-		console.error(`Field '${field}' not found in section '${section}'`);
-		return;
-	}
+	return boards.map(board => {
+		const resolved = {
+			...board,
+			name: board.name ?? board.id,
+			enabled: board.enabled !== false,
+		};
 
-	config[section][field] = value;
+		for (const [key, defaultValue] of Object.entries(BOARD_DEFAULTS)) {
+			resolved[key] = board[key] ?? fireboardSettings[key] ?? defaultValue;
+		}
 
-	// Save config
-	const configString = `module.exports = ${JSON.stringify(config, null, 4)};`;
-	fs.writeFileSync(configPath, configString, 'utf8');
+		resolved.voterRules = {
+			...VOTER_RULE_DEFAULTS,
+			...fireboardSettings.voterRules,
+			...board.voterRules,
+		};
 
-	console.log(`Updated config: ${section}.${field} = ${value}`);
-}
+		return resolved;
+	});
+};
+
+module.exports.getFireboardBoard = function(boardId) {
+	return module.exports.getFireboardBoards().find(board => board.id === boardId) ?? null;
+};
+
+// Which scheduled digests run and how many entries they list; the channel is set per board
+const DIGEST_DEFAULTS = {
+	weekly: true,
+	monthly: true,
+	topEntries: 5,
+};
+
+module.exports.getDigestSettings = function() {
+	const { fireboardSettings } = require(configPath);
+	return { ...DIGEST_DEFAULTS, ...fireboardSettings.digest };
+};
+
+// Matching members' roles to their reactions on reaction role panels; maxChanges caps a single pass
+const RECONCILE_DEFAULTS = {
+	onStartup: true,
+	maxChanges: 50,
+};
 
-module.exports.updateReactionRoleMessageId = function(messageId) {
-	updateConfigField('reactionRoleSettings', 'messageId', messageId);
+module.exports.getReconcileSettings = function() {
+	const { reactionRoleSettings } = require(configPath);
+	return { ...RECONCILE_DEFAULTS, ...reactionRoleSettings.reconcile };
 };
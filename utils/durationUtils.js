@@ -0,0 +1,33 @@
+const UNIT_MINUTES = {
+	m: 1,
+	h: 60,
+	d: 60 * 24,
+	w: 60 * 24 * 7,
+};
+
+const MAX_DURATION_MINUTES = 365 * 24 * 60;
+
+// Reads durations like 30m, 6h, 1d12h or 2w into whole minutes
+module.exports.parseDuration = function(value) {
+	const text = value.trim().toLowerCase().replace(/\s+/g, '');
+	if (!/^(\d+[mhdw])+$/.test(text)) throw new Error(`\`${value}\` is not a valid duration, use e.g. 30m, 6h, 1d12h or 2w.`);
+
+	let minutes = 0;
+	for (const [, amount, unit] of text.matchAll(/(\d+)([mhdw])/g)) minutes += Number(amount) * UNIT_MINUTES[unit];
+
+	if (minutes < 1) throw new Error('A duration must be at least a minute.');
+	if (minutes > MAX_DURATION_MINUTES) throw new Error('A duration can be at most a year.');
+	return minutes;
+};
+
+// The reverse of parseDuration, largest unit first, e.g. 1d 12h
+module.exports.formatDuration = function(minutes) {
+	const parts = [];
+	let remaining = minutes;
+	for (const [unit, size] of Object.entries(UNIT_MINUTES).reverse()) {
+		if (remaining < size) continue;
+		parts.push(`${Math.floor(remaining / size)}${unit}`);
+		remaining %= size;
+	}
+	return parts.join(' ');
+};
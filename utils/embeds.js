@@ -1,22 +1,45 @@
 const { EmbedBuilder } = require('discord.js');
+const { formatDuration } = require('./durationUtils');
 
-module.exports.createReactionRolesEmbed = function(roleEmojis) {
+// Footer lines explaining how a panel behaves, for modes other than normal toggling
+const PANEL_MODE_HINTS = {
+	unique: 'You can only have one of these roles; picking another replaces it.',
+	verify: 'Roles can only be added here.',
+	drop: 'Roles can only be removed here.',
+};
+
+// `counts` maps role IDs to how many members have the role
+module.exports.createReactionRolesEmbed = function(panel, mappings, counts = new Map()) {
 	const embed = new EmbedBuilder()
-		.setTitle('Reaction Roles')
-		.setDescription('React to this message to give yourself a role. In addition to being pingable, roles will unlock game-specific text channels.')
+		.setTitle(panel.title)
 		.setColor('#42f5f5');
 
-	const roleDescriptions = [];
-	for (const [emoji, roleId] of Object.entries(roleEmojis)) {
-		roleDescriptions.push(`${emoji} - <@&${roleId}>`);
-	}
+	if (panel.description) embed.setDescription(panel.description);
+
+	const roleDescriptions = mappings.map(({ emoji, roleId, description, requiredRoleId, durationMinutes }) => {
+		const notes = [];
+		if (requiredRoleId) notes.push(`requires <@&${requiredRoleId}>`);
+		if (durationMinutes) notes.push(`lasts ${formatDuration(durationMinutes)}`);
+		const count = counts.has(roleId) ? ` · ${counts.get(roleId)} member${counts.get(roleId) === 1 ? '' : 's'}` : '';
+		return `${emoji} - <@&${roleId}>${description ? ` - ${description}` : ''}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}${count}`;
+	});
 
 	if (roleDescriptions.length > 0) {
-		embed.addFields({
-			name: 'Available Roles',
-			value: roleDescriptions.join('\n'),
+		// Roles go into as many fields as it takes to keep each under Discord's field length
+		const fieldValues = [];
+		for (const line of roleDescriptions) {
+			const last = fieldValues.length - 1;
+			if (last >= 0 && fieldValues[last].length + 1 + line.length <= MAX_FIELD_LENGTH) {
+				fieldValues[last] += `\n${line}`;
+			} else {
+				fieldValues.push(line);
+			}
+		}
+		embed.addFields(fieldValues.map((value, index) => ({
+			name: index === 0 ? 'Available Roles' : '\u200b',
+			value,
 			inline: false,
-		});
+		})));
 	} else {
 		embed.addFields({
 			name: 'Available Roles',
@@ -25,69 +48,337 @@ module.exports.createReactionRolesEmbed = function(roleEmojis) {
 		});
 	}
 
+	const hints = [];
+	if (PANEL_MODE_HINTS[panel.mode]) hints.push(PANEL_MODE_HINTS[panel.mode]);
+	if (panel.maxRoles && panel.mode !== 'unique') hints.push(`You can have up to ${panel.maxRoles} of these roles.`);
+	if (hints.length > 0) embed.setFooter({ text: hints.join(' ') });
+
 	return embed;
 };
 
-module.exports.createFireboardEmbed = function(message, validReactions, authorNickname) {
-	// Create reaction display string
-	const reactionDisplay = validReactions
+// Each row is { emoji, roleId, count, series }, where series holds the member count at each step since
+// `since` (null where no snapshot was taken), ending with the current count. Without a `since`, only
+// the current counts are known.
+module.exports.createRoleStatsEmbed = function(title, rows, since, stepDays) {
+	const lines = rows.map(({ emoji, roleId, count, series }) => {
+		const first = series.find(point => point !== null);
+		const points = series.map((point, index) => (index === series.length - 1 ? `**${point}**` : `${point ?? '–'}`));
+		const change = count - first;
+		return `${emoji} <@&${roleId}> · ${points.join(' → ')}${series.length > 1 && first !== count ? ` (${change > 0 ? '+' : ''}${change})` : ''}`;
+	});
+
+	const step = stepDays === 1 ? 'each day' : stepDays === 7 ? 'each week' : `every ${stepDays / 7} weeks`;
+	const header = since
+		? `Members with each role ${step} since <t:${Math.floor(since.getTime() / 1000)}:d>, ending with today's count. – means no count was saved then.`
+		: 'Members with each role today. No counts were saved in this period yet.';
+
+	return new EmbedBuilder()
+		.setTitle(title)
+		.setColor('#42f5f5')
+		.setDescription(lines.length > 0 ? truncate(`${header}\n\n${lines.join('\n')}`, 4096) : 'No roles on the panels yet.')
+		.setFooter({ text: 'Fastest growing first. Counts are saved once a day.' });
+};
+
+const MAX_GALLERY_IMAGES = 4;
+const MAX_FIELD_LENGTH = 1024;
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_WEBHOOK_USERNAME_LENGTH = 80;
+const LINK_PREVIEW_LENGTH = 300;
+
+// Weighted reaction counts can be fractional
+function formatCount(count) {
+	return Number.isInteger(count) ? `${count}` : count.toFixed(1);
+}
+module.exports.formatCount = formatCount;
+
+function formatReactionDisplay(validReactions) {
+	return validReactions
 		.filter(r => r.count > 0)
-		.map(r => `${r.emoji} ${r.count}`)
+		.map(r => `${r.emoji} ${formatCount(r.count)}`)
 		.join(' • ');
+}
 
-	const embed = new EmbedBuilder()
-		.setColor(0xFF4500) // Orange-red color for fire theme
-		.setAuthor({ name: authorNickname || message.author.displayName, iconURL: message.author.displayAvatarURL() })
-		.addFields(
-			{ name: 'Reactions', value: reactionDisplay || 'None', inline: true },
-			{ name: 'Link', value: `**${message.channel.name} - **${message.url}`, inline: true },
-		)
-		.setTimestamp(message.createdAt);
+function truncate(text, length) {
+	return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
 
-	// Add description only if message content exists
-	if (message.content) embed.setDescription(message.content);
+function isImage(attachment) {
+	return attachment.contentType?.startsWith('image/');
+}
 
-	// Add attachment information if message has attachments
-	if (message.attachments.size == 0) return embed;
+function isVideo(attachment) {
+	return attachment.contentType?.startsWith('video/');
+}
 
-	const attachmentArray = Array.from(message.attachments.values());
-	const imageAttachment = attachmentArray.find(att =>
-		att.contentType && att.contentType.startsWith('image/'),
-	);
+// True when the message has no text of its own beyond the links being previewed
+function isOnlyLinks(content) {
+	return !content || /^(\s*<?https?:\/\/\S+>?\s*)+$/.test(content);
+}
 
-	if (imageAttachment) {
-		// Add image if it's an image attachment
-		embed.setImage(imageAttachment.url);
-	} else {
-		// For non-image attachments, show filename
-		const attachmentNames = attachmentArray
-			.map(att => att.name || 'Unknown file')
-			.join(', ');
+function formatLinkPreview(preview) {
+	const lines = [];
+
+	const source = [preview.providerName, preview.authorName].filter(Boolean).join(' - ');
+	if (source) lines.push(`*${source}*`);
+
+	if (preview.title) lines.push(preview.url ? `**[${preview.title}](${preview.url})**` : `**${preview.title}**`);
+	if (preview.description) lines.push(truncate(preview.description, LINK_PREVIEW_LENGTH));
 
+	return lines.join('\n');
+}
+
+// Returns one embed, plus up to three more that Discord shows as a gallery alongside the first
+module.exports.createFireboardEmbeds = function(snapshot, validReactions, board, tier = { level: 0 }) {
+	const reactionDisplay = formatReactionDisplay(validReactions);
+
+	// Embeds sharing a URL are merged into a single image gallery
+	const embed = new EmbedBuilder()
+		.setColor(tier.color ?? board.color)
+		.setURL(snapshot.url)
+		.setAuthor({ name: snapshot.authorName, iconURL: snapshot.authorAvatarURL })
+		.setTimestamp(snapshot.createdAt);
+
+	if (tier.level > 0) embed.setTitle([tier.emoji, tier.label].filter(Boolean).join(' '));
+
+	if (snapshot.reply) {
+		const replyContent = snapshot.reply.content || (snapshot.reply.hasAttachments ? '*Attachment*' : '*No content*');
 		embed.addFields({
-			name: 'Attachments',
-			value: attachmentNames,
+			name: `↪️ Replying to ${snapshot.reply.authorName}`,
+			value: truncate(`${replyContent}\n[Jump to reply](${snapshot.reply.url})`, MAX_FIELD_LENGTH),
 			inline: false,
 		});
 	}
 
-	// If there are multiple attachments and we showed an image, also list other files
-	if (imageAttachment && attachmentArray.length > 1) {
-		const otherAttachments = attachmentArray
-			.filter(att => att !== imageAttachment)
-			.map(att => att.name || 'Unknown file')
-			.join(', ');
-
-		if (otherAttachments) {
-			embed.addFields({
-				name: 'Other Attachments',
-				value: otherAttachments,
-				inline: false,
-			});
-		}
+	embed.addFields(
+		{ name: 'Reactions', value: reactionDisplay || 'None', inline: true },
+		{ name: 'Link', value: snapshot.deletedAt ? `**${snapshot.channelName}** - *deleted*` : `**${snapshot.channelName} - **${snapshot.url}`, inline: true },
+	);
+
+	const footer = [];
+	if (board.showEditedMarker && snapshot.editedAt) footer.push('(edited)');
+	if (snapshot.deletedAt) footer.push('Original message deleted');
+	if (footer.length > 0) embed.setFooter({ text: footer.join(' • ') });
+
+	const linkPreviews = (snapshot.embeds ?? []).filter(preview => preview.title || preview.description || preview.imageURL);
+	const images = snapshot.attachments.filter(isImage).map(att => att.url);
+
+	// Bare links get the content of their previews carried over
+	const description = [snapshot.content];
+	if (isOnlyLinks(snapshot.content)) {
+		description.push(...linkPreviews.map(formatLinkPreview));
+		images.push(...linkPreviews.map(preview => preview.imageURL).filter(Boolean));
 	}
 
-	return embed;
+	const stickers = snapshot.stickers ?? [];
+	if (images.length === 0) images.push(...stickers.map(sticker => sticker.url).filter(Boolean));
+
+	// Add description only if message content exists
+	const descriptionText = description.filter(Boolean).join('\n\n');
+	if (descriptionText) embed.setDescription(truncate(descriptionText, 4096));
+
+	if (stickers.length > 0) {
+		embed.addFields({ name: 'Stickers', value: stickers.map(sticker => sticker.name).join(', '), inline: false });
+	}
+
+	// Videos can't play inside embeds, so link them instead
+	const videos = snapshot.attachments.filter(isVideo).map(att => `[${att.name || 'Video'}](${att.url})`);
+	if (videos.length > 0) {
+		embed.addFields({ name: 'Videos', value: truncate(videos.join('\n'), MAX_FIELD_LENGTH), inline: false });
+	}
+
+	// For everything else, show filename
+	const otherAttachments = snapshot.attachments
+		.filter(att => !isImage(att) && !isVideo(att))
+		.map(att => `[${att.name || 'Unknown file'}](${att.url})`);
+	if (otherAttachments.length > 0) {
+		embed.addFields({ name: 'Attachments', value: truncate(otherAttachments.join(', '), MAX_FIELD_LENGTH), inline: false });
+	}
+
+	const extraImages = images.length - MAX_GALLERY_IMAGES;
+	if (extraImages > 0) {
+		embed.addFields({ name: 'More Images', value: `+${extraImages} more in the original message`, inline: false });
+	}
+
+	const galleryImages = images.slice(0, MAX_GALLERY_IMAGES);
+	if (galleryImages.length > 0) embed.setImage(galleryImages[0]);
+
+	return [
+		embed,
+		...galleryImages.slice(1).map(url => new EmbedBuilder().setURL(snapshot.url).setImage(url)),
+	];
+};
+
+// Discord rejects webhook usernames containing these words, so they're broken up with a zero-width space
+function formatWebhookUsername(name) {
+	const username = name.replace(/(discord|clyde)/gi, word => `${word[0]}\u200b${word.slice(1)}`);
+	return truncate(username.trim() || 'Unknown', MAX_WEBHOOK_USERNAME_LENGTH);
+}
+
+// Webhook post that reads as if the author sent the message, followed by a single embed with the
+// reactions and a link back to the original. The same payload is used to edit the post, minus the
+// username and avatar, which can only be set when sending.
+module.exports.createFireboardWebhookMessage = function(snapshot, validReactions, board, tier = { level: 0 }) {
+	const lines = [];
+	if (snapshot.reply) lines.push(`↪️ Replying to **${snapshot.reply.authorName}** - [Jump to reply](${snapshot.reply.url})`);
+
+	const link = snapshot.deletedAt ? `**#${snapshot.channelName}** - *deleted*` : `[Jump to message](${snapshot.url}) in **#${snapshot.channelName}**`;
+	lines.push(`${formatReactionDisplay(validReactions) || 'No reactions'} • ${link}`);
+
+	// Videos and other files are linked; images are shown as a gallery like on embed posts
+	const files = snapshot.attachments
+		.filter(att => !isImage(att))
+		.map(att => `[${att.name || 'Unknown file'}](${att.url})`);
+	if (files.length > 0) lines.push(`📎 ${files.join(', ')}`);
+
+	const stickers = snapshot.stickers ?? [];
+	if (stickers.length > 0) lines.push(`Stickers: ${stickers.map(sticker => sticker.name).join(', ')}`);
+
+	const embed = new EmbedBuilder()
+		.setColor(tier.color ?? board.color)
+		.setURL(snapshot.url)
+		.setDescription(truncate(lines.join('\n'), 4096))
+		.setTimestamp(snapshot.createdAt);
+
+	if (tier.level > 0) embed.setTitle([tier.emoji, tier.label].filter(Boolean).join(' '));
+
+	const footer = [];
+	if (board.showEditedMarker && snapshot.editedAt) footer.push('(edited)');
+	if (snapshot.deletedAt) footer.push('Original message deleted');
+	if (footer.length > 0) embed.setFooter({ text: footer.join(' • ') });
+
+	const images = snapshot.attachments.filter(isImage).map(att => att.url);
+	images.push(...stickers.map(sticker => sticker.url).filter(Boolean));
+	const galleryImages = images.slice(0, MAX_GALLERY_IMAGES);
+	if (galleryImages.length > 0) embed.setImage(galleryImages[0]);
+
+	return {
+		username: formatWebhookUsername(snapshot.authorName),
+		avatarURL: snapshot.authorAvatarURL,
+		content: truncate(snapshot.content ?? '', MAX_CONTENT_LENGTH),
+		embeds: [
+			embed,
+			...galleryImages.slice(1).map(url => new EmbedBuilder().setURL(snapshot.url).setImage(url)),
+		],
+		// Reposted content shouldn't ping anyone a second time
+		allowedMentions: { parse: [] },
+	};
+};
+
+module.exports.createLeaderboardEmbed = function(boardName, windowLabel, byEntries, byReactions) {
+	const formatRows = (rows, formatValue) => rows
+		.map((row, index) => `**${index + 1}.** <@${row.authorId}> - ${formatValue(row)}`)
+		.join('\n');
+
+	return new EmbedBuilder()
+		.setTitle(`🔥 ${boardName} Leaderboard (${windowLabel})`)
+		.setColor(0xFF4500)
+		.addFields(
+			{
+				name: 'Most Entries',
+				value: formatRows(byEntries, row => `${row.entryCount} ${row.entryCount === 1 ? 'entry' : 'entries'}`) || 'No entries yet',
+				inline: true,
+			},
+			{
+				name: 'Most Reactions',
+				value: formatRows(byReactions, row => `${formatCount(row.totalReactions)} reactions`) || 'No entries yet',
+				inline: true,
+			},
+		);
+};
+
+module.exports.createFireboardStatsEmbed = function(boardName, user, stats, bestEntryLink) {
+	const embed = new EmbedBuilder()
+		.setAuthor({ name: `${user.displayName}'s ${boardName} Stats`, iconURL: user.displayAvatarURL() })
+		.setColor(0xFF4500);
+
+	if (!stats) {
+		return embed.setDescription(`${user} hasn't made it onto the ${boardName.toLowerCase()} yet.`);
+	}
+
+	return embed.addFields(
+		{ name: 'Entries', value: `${stats.entryCount}`, inline: true },
+		{ name: 'Total Reactions', value: formatCount(stats.totalReactions), inline: true },
+		{ name: 'Average Reactions', value: stats.averageReactions.toFixed(1), inline: true },
+		{ name: 'Best Post', value: `${formatCount(stats.bestEntry.validReactionCount)} reactions - ${bestEntryLink}`, inline: false },
+		{ name: 'Favourite Channel', value: stats.favouriteChannelId ? `<#${stats.favouriteChannelId}>` : 'Unknown', inline: false },
+	);
+};
+
+// One page of fireboard entries, each with a link to the original message (or the board post if the original is gone)
+module.exports.createEntryListEmbed = function(title, entries, { page, pageSize, total }, getEntryLink) {
+	const lines = entries.map((entry, index) => {
+		const breakdown = (entry.reactionBreakdown ?? []).map(r => `${r.emoji} ${formatCount(r.count)}`).join(' ');
+		const createdAt = Math.floor(entry.createdAt.getTime() / 1000);
+		const excerpt = entry.contentExcerpt ? `\n> ${truncate(entry.contentExcerpt.replace(/\s+/g, ' '), 100)}` : '';
+		const channel = entry.channelId ? ` in <#${entry.channelId}>` : '';
+		return `**${page * pageSize + index + 1}.** ${breakdown || formatCount(entry.validReactionCount)} • <@${entry.authorId}>${channel} • <t:${createdAt}:d> • [Jump](${getEntryLink(entry)})${excerpt}`;
+	});
+
+	return new EmbedBuilder()
+		.setTitle(title)
+		.setColor(0xFF4500)
+		.setDescription(truncate(lines.join('\n\n'), 4096) || 'No entries found.')
+		.setFooter({ text: `Page ${page + 1} of ${Math.max(Math.ceil(total / pageSize), 1)} • ${total} ${total === 1 ? 'entry' : 'entries'}` });
+};
+
+// "Best of" digest for one board over a period, from getDigest
+module.exports.createDigestEmbed = function(board, periodLabel, digest, getEntryLink) {
+	const embed = new EmbedBuilder()
+		.setTitle(`🏆 Best of the ${board.name}: ${periodLabel}`)
+		.setColor(board.color);
+
+	if (digest.entryCount === 0) return embed.setDescription('Nothing made it onto the board in this period.');
+
+	const lines = digest.topEntries.map((entry, index) => {
+		const breakdown = (entry.reactionBreakdown ?? []).map(r => `${r.emoji} ${formatCount(r.count)}`).join(' ');
+		const excerpt = entry.contentExcerpt ? `\n> ${truncate(entry.contentExcerpt.replace(/\s+/g, ' '), 100)}` : '';
+		const channel = entry.channelId ? ` in <#${entry.channelId}>` : '';
+		return `**${index + 1}.** ${breakdown || formatCount(entry.validReactionCount)} • <@${entry.authorId}>${channel} • [Jump](${getEntryLink(entry)})${excerpt}`;
+	});
+	embed.setDescription(truncate(lines.join('\n\n'), 4096));
+
+	const { topAuthor, topChannel } = digest;
+	embed.addFields(
+		{
+			name: 'Top Author',
+			value: `<@${topAuthor.authorId}> - ${formatCount(topAuthor.totalReactions)} reactions across ${topAuthor.entryCount} ${topAuthor.entryCount === 1 ? 'entry' : 'entries'}`,
+			inline: true,
+		},
+		{
+			name: 'Most Active Channel',
+			value: topChannel ? `<#${topChannel.channelId}> - ${topChannel.entryCount} ${topChannel.entryCount === 1 ? 'entry' : 'entries'}` : 'Unknown',
+			inline: true,
+		},
+	);
+
+	return embed.setFooter({ text: `${digest.entryCount} ${digest.entryCount === 1 ? 'entry' : 'entries'} in total` });
+};
+
+// One line per board from the statuses Fireboard.refreshMessage resolves with
+module.exports.formatRefreshStatuses = function(statuses, boards) {
+	return Object.entries(statuses)
+		.map(([boardId, status]) => `**${boards.find(board => board.id === boardId)?.name ?? boardId}:** ${status}`)
+		.join('\n');
+};
+
+module.exports.createTierPromotionMessage = function(board, tier, totalCount) {
+	return `${tier.emoji ?? '🎉'} This post just reached **${tier.label ?? `tier ${tier.level}`}** on the ${board.name} with ${formatCount(totalCount)} reactions!`;
+};
+
+// Sent to authors who turned on notifications; without a tier, the message just made it onto the board
+module.exports.createAuthorNotification = function(board, tier, totalCount, messageURL, postURL) {
+	const reached = tier ? `reached **${tier.label ?? `tier ${tier.level}`}** on` : 'made it onto';
+	return [
+		`${tier?.emoji ?? '🎉'} Your message ${messageURL} ${reached} the ${board.name} with ${formatCount(totalCount)} ${totalCount === 1 ? 'reaction' : 'reactions'}! ${postURL}`,
+		'-# Turn these messages off with `/fireboard notifications off`.',
+	].join('\n');
+};
+
+module.exports.createBoardRulesEmbed = function(board, rules) {
+	return new EmbedBuilder()
+		.setTitle(`${board.name}${board.enabled ? '' : ' (disabled)'}`)
+		.setDescription(truncate(rules, 4096))
+		.setColor(board.color);
 };
 
 module.exports.createTextEmbed = function(text, color) {
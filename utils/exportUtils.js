@@ -0,0 +1,177 @@
+const { createMessageLink, parseMessageLink } = require('./guildUtils');
+const { createContentExcerpt } = require('./snapshotUtils');
+
+// Columns of a CSV export, in order; JSON exports also include the stored snapshot
+const CSV_FIELDS = [
+	'boardId',
+	'messageId',
+	'channelId',
+	'authorId',
+	'fireboardMessageId',
+	'validReactionCount',
+	'tier',
+	'reactionBreakdown',
+	'sourceDeletedAt',
+	'createdAt',
+	'updatedAt',
+	'jumpLink',
+];
+
+// Names other starboard bots use for the same data, checked in order
+const FIELD_ALIASES = {
+	boardId: ['boardId', 'board_id', 'board'],
+	messageId: ['messageId', 'message_id', 'messageID', 'original_message_id', 'originalMessageId', 'source_message_id'],
+	channelId: ['channelId', 'channel_id', 'channelID', 'original_channel_id', 'originalChannelId', 'source_channel_id'],
+	authorId: ['authorId', 'author_id', 'authorID', 'user_id', 'userId', 'original_author_id'],
+	fireboardMessageId: ['fireboardMessageId', 'starboardMessageId', 'starboard_message_id', 'board_message_id', 'botMessageId', 'bot_message_id'],
+	validReactionCount: ['validReactionCount', 'count', 'stars', 'star_count', 'starCount', 'reactions', 'reaction_count', 'points', 'score'],
+	reactionBreakdown: ['reactionBreakdown'],
+	tier: ['tier'],
+	snapshot: ['snapshot'],
+	content: ['contentExcerpt', 'content', 'message_content', 'text'],
+	sourceDeletedAt: ['sourceDeletedAt'],
+	createdAt: ['createdAt', 'created_at', 'timestamp', 'date', 'starred_at'],
+	jumpLink: ['jumpLink', 'jump_url', 'jumpUrl', 'message_link', 'messageLink', 'link', 'url'],
+};
+
+function toCSVValue(value) {
+	if (value === null || value === undefined) return '';
+	const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Minimal RFC 4180 parser: quoted fields may contain commas, quotes ("") and newlines
+function parseCSV(text) {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+	if (field || row.length > 0) rows.push([...row, field]);
+
+	const [header, ...records] = rows.filter(r => r.some(value => value !== ''));
+	return records.map(values => Object.fromEntries(header.map((name, index) => [name.trim(), values[index] ?? ''])));
+}
+
+function pickField(record, field) {
+	for (const alias of FIELD_ALIASES[field]) {
+		const value = record[alias];
+		if (value !== undefined && value !== null && value !== '') return value;
+	}
+	return null;
+}
+
+function parseJSONField(value) {
+	if (typeof value !== 'string') return value;
+	try {
+		return JSON.parse(value);
+	// eslint-disable-next-line no-unused-vars
+	} catch (error) {
+		return null;
+	}
+}
+
+// Accepts a Date, an ISO string or a Unix timestamp in seconds or milliseconds
+function parseTimestamp(value) {
+	if (value === null) return null;
+	const number = Number(value);
+	const date = Number.isFinite(number) ? new Date(number < 1e12 ? number * 1000 : number) : new Date(value);
+	return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Converts one exported record (ours or another bot's) into FireboardEntry columns, or null if it's
+// missing the IDs an entry can't do without
+function normalizeRecord(record, defaultBoardId) {
+	const link = parseMessageLink(pickField(record, 'jumpLink'));
+	const messageId = pickField(record, 'messageId') ?? link?.messageId;
+	const authorId = pickField(record, 'authorId');
+	if (!messageId || !authorId) return null;
+
+	const reactionBreakdown = parseJSONField(pickField(record, 'reactionBreakdown'));
+	const snapshot = parseJSONField(pickField(record, 'snapshot'));
+	return {
+		boardId: `${pickField(record, 'boardId') ?? defaultBoardId}`,
+		messageId: `${messageId}`,
+		channelId: `${pickField(record, 'channelId') ?? link?.channelId ?? ''}` || null,
+		authorId: `${authorId}`,
+		// Without a post ID the entry has no post yet, and one is made the next time it is refreshed
+		fireboardMessageId: pickField(record, 'fireboardMessageId') != null ? `${pickField(record, 'fireboardMessageId')}` : null,
+		validReactionCount: Number(pickField(record, 'validReactionCount')) || 0,
+		tier: Number(pickField(record, 'tier')) || 0,
+		reactionBreakdown: Array.isArray(reactionBreakdown) ? reactionBreakdown : null,
+		snapshot,
+		contentExcerpt: createContentExcerpt({ content: snapshot?.content ?? pickField(record, 'content') }),
+		sourceDeletedAt: parseTimestamp(pickField(record, 'sourceDeletedAt')),
+		createdAt: parseTimestamp(pickField(record, 'createdAt')) ?? new Date(),
+	};
+}
+
+module.exports.serializeEntries = function(entries, format) {
+	const records = entries.map(entry => {
+		const record = entry.get({ plain: true });
+		delete record.id; // Row IDs mean nothing to another instance
+		return { ...record, jumpLink: entry.channelId ? createMessageLink(entry.channelId, entry.messageId) : null };
+	});
+
+	if (format === 'csv') {
+		const lines = records.map(record => CSV_FIELDS.map(field => toCSVValue(record[field])).join(','));
+		return [CSV_FIELDS.join(','), ...lines].join('\n');
+	}
+
+	return JSON.stringify({
+		version: 1,
+		exportedAt: new Date().toISOString(),
+		entries: records,
+	}, null, '\t');
+};
+
+// Reads our own JSON/CSV exports as well as other starboard bots' exports, which are usually a JSON
+// array (possibly wrapped in an object) or a CSV file with one row per starred message
+module.exports.parseEntries = function(text, format, defaultBoardId) {
+	let records;
+	if (format === 'csv') {
+		records = parseCSV(text);
+	} else {
+		const data = JSON.parse(text);
+		records = Array.isArray(data) ? data : Object.values(data).find(Array.isArray) ?? [];
+	}
+
+	const entries = [];
+	let skipped = 0;
+	for (const record of records) {
+		const entry = normalizeRecord(record, defaultBoardId);
+		if (entry) {
+			entries.push(entry);
+		} else {
+			skipped++;
+		}
+	}
+
+	return { entries, skipped };
+};
@@ -1,9 +1,26 @@
-const { FireboardEntry } = require('../database');
+const { Op, fn, col, literal, where: whereColumn } = require('sequelize');
+const { sequelize, FireboardEntry, FireboardReaction, FireboardExclusion, FireboardNotificationSetting } = require('../database');
 
-module.exports.getEntry = async (messageId) => {
+// Turns search filters into a where clause; every filter is optional
+function buildEntryWhere({ boardId, authorId, channelId, since, until, emoji, minCount, text } = {}) {
+	const conditions = [];
+	if (boardId) conditions.push({ boardId });
+	if (authorId) conditions.push({ authorId });
+	if (channelId) conditions.push({ channelId });
+	if (since) conditions.push({ createdAt: { [Op.gte]: since } });
+	if (until) conditions.push({ createdAt: { [Op.lt]: until } });
+	if (minCount) conditions.push({ validReactionCount: { [Op.gte]: minCount } });
+	if (text) conditions.push({ contentExcerpt: { [Op.substring]: text } });
+	// The breakdown is stored as JSON text, so match the serialized emoji
+	if (emoji) conditions.push(whereColumn(col('reactionBreakdown'), { [Op.substring]: JSON.stringify({ emoji }).slice(1, -1) }));
+
+	return { [Op.and]: conditions };
+}
+
+module.exports.getEntry = async (boardId, messageId) => {
 	try {
 		return await FireboardEntry.findOne({
-			where: { messageId },
+			where: { boardId, messageId },
 		});
 	} catch (error) {
 		console.error('Error getting fireboard entry:', error);
@@ -11,22 +28,53 @@ module.exports.getEntry = async (messageId) => {
 	}
 };
 
-module.exports.createEntry = async (messageId, channelId, fireboardMessageId, authorId, validReactionCount = 0) => {
+// Only counts rows, so it also works on databases whose schema hasn't been updated yet
+module.exports.hasEntry = async (boardId, messageId) => {
+	try {
+		return await FireboardEntry.count({ where: { boardId, messageId } }) > 0;
+	} catch (error) {
+		console.error('Error checking for fireboard entry:', error);
+		return false;
+	}
+};
+
+module.exports.getEntriesForMessage = async (messageId) => {
+	try {
+		return await FireboardEntry.findAll({
+			where: { messageId },
+		});
+	} catch (error) {
+		console.error('Error getting fireboard entries for message:', error);
+		return [];
+	}
+};
+
+module.exports.getEntriesForBoard = async (boardId) => {
+	try {
+		return await FireboardEntry.findAll({
+			where: { boardId },
+		});
+	} catch (error) {
+		console.error('Error getting fireboard entries for board:', error);
+		return [];
+	}
+};
+
+// `fields` holds the remaining columns: channelId and authorId are required
+module.exports.createEntry = async (boardId, messageId, fields) => {
 	try {
 		// Use findOrCreate to handle race conditions
 		const [entry, created] = await FireboardEntry.findOrCreate({
-			where: { messageId },
+			where: { boardId, messageId },
 			defaults: {
+				boardId,
 				messageId,
-				channelId,
-				fireboardMessageId,
-				authorId,
-				validReactionCount,
+				...fields,
 			},
 		});
 
 		if (!created) {
-			console.log(`Fireboard entry for message ${messageId} already exists`);
+			console.log(`Fireboard entry for message ${messageId} on board ${boardId} already exists`);
 		}
 
 		return entry;
@@ -36,7 +84,7 @@ module.exports.createEntry = async (messageId, channelId, fireboardMessageId, au
 			console.log(`Unique constraint violation for message ${messageId}, entry likely already exists`);
 			// Try to find the existing entry
 			try {
-				return await this.getEntry(messageId);
+				return await this.getEntry(boardId, messageId);
 			} catch (findError) {
 				console.error('Error finding existing fireboard entry:', findError);
 				return null;
@@ -48,10 +96,10 @@ module.exports.createEntry = async (messageId, channelId, fireboardMessageId, au
 	}
 };
 
-module.exports.updateEntry = async (messageId, updates) => {
+module.exports.updateEntry = async (boardId, messageId, updates) => {
 	try {
 		const [updatedRowsCount] = await FireboardEntry.update(updates, {
-			where: { messageId },
+			where: { boardId, messageId },
 		});
 		return updatedRowsCount > 0;
 	} catch (error) {
@@ -77,6 +125,34 @@ module.exports.getAllEntries = async (limit = null) => {
 	}
 };
 
+module.exports.searchEntries = async (filters = {}, { sort = 'recent', limit = 10, offset = 0 } = {}) => {
+	try {
+		return await FireboardEntry.findAndCountAll({
+			where: buildEntryWhere(filters),
+			order: sort === 'top'
+				? [['validReactionCount', 'DESC'], ['createdAt', 'DESC']]
+				: [['createdAt', 'DESC']],
+			limit,
+			offset,
+		});
+	} catch (error) {
+		console.error('Error searching fireboard entries:', error);
+		return { rows: [], count: 0 };
+	}
+};
+
+module.exports.getRandomEntry = async (filters = {}) => {
+	try {
+		return await FireboardEntry.findOne({
+			where: buildEntryWhere(filters),
+			order: sequelize.random(),
+		});
+	} catch (error) {
+		console.error('Error getting random fireboard entry:', error);
+		return null;
+	}
+};
+
 module.exports.deleteEntryObject = async (entry) => {
 	try {
 		await entry.destroy();
@@ -86,3 +162,277 @@ module.exports.deleteEntryObject = async (entry) => {
 		return false;
 	}
 };
+
+module.exports.getLeaderboard = async (since = null, boardId = null, limit = 10) => {
+	try {
+		const where = {};
+		if (since) where.createdAt = { [Op.gte]: since };
+		if (boardId) where.boardId = boardId;
+
+		const options = {
+			where,
+			attributes: [
+				'authorId',
+				[fn('COUNT', col('id')), 'entryCount'],
+				[fn('SUM', col('validReactionCount')), 'totalReactions'],
+			],
+			group: ['authorId'],
+			limit,
+			raw: true,
+		};
+
+		const byEntries = await FireboardEntry.findAll({
+			...options,
+			order: [[literal('entryCount'), 'DESC'], [literal('totalReactions'), 'DESC']],
+		});
+		const byReactions = await FireboardEntry.findAll({
+			...options,
+			order: [[literal('totalReactions'), 'DESC'], [literal('entryCount'), 'DESC']],
+		});
+
+		return { byEntries, byReactions };
+	} catch (error) {
+		console.error('Error getting fireboard leaderboard:', error);
+		return { byEntries: [], byReactions: [] };
+	}
+};
+
+// Highlights of the entries posted in a period: the top entries, the author with the most reactions
+// and the channel with the most entries
+module.exports.getDigest = async (boardId, since, until, limit = 5) => {
+	try {
+		const where = buildEntryWhere({ boardId, since, until });
+
+		const entryCount = await FireboardEntry.count({ where });
+		const topEntries = await FireboardEntry.findAll({
+			where,
+			order: [['validReactionCount', 'DESC'], ['createdAt', 'ASC']],
+			limit,
+		});
+
+		const topAuthor = await FireboardEntry.findOne({
+			where,
+			attributes: [
+				'authorId',
+				[fn('COUNT', col('id')), 'entryCount'],
+				[fn('SUM', col('validReactionCount')), 'totalReactions'],
+			],
+			group: ['authorId'],
+			order: [[literal('totalReactions'), 'DESC'], [literal('entryCount'), 'DESC']],
+			raw: true,
+		});
+
+		// Entries with an unknown channel can't count towards the most active channel
+		const topChannel = await FireboardEntry.findOne({
+			where: { [Op.and]: [where, { channelId: { [Op.ne]: null } }] },
+			attributes: ['channelId', [fn('COUNT', col('id')), 'entryCount']],
+			group: ['channelId'],
+			order: [[literal('entryCount'), 'DESC']],
+			raw: true,
+		});
+
+		return { entryCount, topEntries, topAuthor, topChannel };
+	} catch (error) {
+		console.error('Error getting fireboard digest:', error);
+		return null;
+	}
+};
+
+module.exports.getAuthorStats = async (authorId, boardId = null) => {
+	try {
+		const where = boardId ? { authorId, boardId } : { authorId };
+
+		const totals = await FireboardEntry.findOne({
+			where,
+			attributes: [
+				[fn('COUNT', col('id')), 'entryCount'],
+				[fn('SUM', col('validReactionCount')), 'totalReactions'],
+				[fn('AVG', col('validReactionCount')), 'averageReactions'],
+			],
+			raw: true,
+		});
+
+		if (!totals || totals.entryCount === 0) return null;
+
+		const bestEntry = await FireboardEntry.findOne({
+			where,
+			order: [['validReactionCount', 'DESC'], ['createdAt', 'ASC']],
+		});
+
+		// Entries with an unknown channel can't count towards a favourite channel
+		const favouriteChannel = await FireboardEntry.findOne({
+			where: { ...where, channelId: { [Op.ne]: null } },
+			attributes: ['channelId', [fn('COUNT', col('id')), 'entryCount']],
+			group: ['channelId'],
+			order: [[literal('entryCount'), 'DESC']],
+			raw: true,
+		});
+
+		return {
+			entryCount: totals.entryCount,
+			totalReactions: totals.totalReactions || 0,
+			averageReactions: totals.averageReactions || 0,
+			bestEntry,
+			favouriteChannelId: favouriteChannel ? favouriteChannel.channelId : null,
+		};
+	} catch (error) {
+		console.error('Error getting fireboard author stats:', error);
+		return null;
+	}
+};
+
+module.exports.getReactions = async (messageId) => {
+	try {
+		return await FireboardReaction.findAll({
+			where: { messageId },
+			order: [['reactedAt', 'ASC'], ['id', 'ASC']],
+		});
+	} catch (error) {
+		console.error('Error getting fireboard reactions:', error);
+		return [];
+	}
+};
+
+module.exports.addReaction = async (messageId, userId, emoji, reactedAt = new Date()) => {
+	try {
+		await FireboardReaction.findOrCreate({
+			where: { messageId, userId, emoji },
+			defaults: { messageId, userId, emoji, reactedAt },
+		});
+		return true;
+	} catch (error) {
+		console.error('Error adding fireboard reaction:', error);
+		return false;
+	}
+};
+
+module.exports.removeReaction = async (messageId, userId, emoji) => {
+	try {
+		await FireboardReaction.destroy({
+			where: { messageId, userId, emoji },
+		});
+		return true;
+	} catch (error) {
+		console.error('Error removing fireboard reaction:', error);
+		return false;
+	}
+};
+
+module.exports.replaceReactions = async (messageId, reactions) => {
+	try {
+		return await sequelize.transaction(async (transaction) => {
+			const existing = await FireboardReaction.findAll({ where: { messageId }, transaction });
+			const keyOf = (r) => `${r.userId}:${r.emoji}`;
+			const fetchedKeys = new Set(reactions.map(keyOf));
+			const existingKeys = new Set(existing.map(keyOf));
+
+			// Keep rows that are still present so their original timestamps survive
+			const staleIds = existing.filter(r => !fetchedKeys.has(keyOf(r))).map(r => r.id);
+			if (staleIds.length > 0) {
+				await FireboardReaction.destroy({ where: { id: staleIds }, transaction });
+			}
+
+			const missing = reactions
+				.filter(r => !existingKeys.has(keyOf(r)))
+				.map(r => ({ messageId, userId: r.userId, emoji: r.emoji, reactedAt: r.reactedAt }));
+			if (missing.length > 0) {
+				await FireboardReaction.bulkCreate(missing, { transaction });
+			}
+
+			return await FireboardReaction.findAll({
+				where: { messageId },
+				order: [['reactedAt', 'ASC'], ['id', 'ASC']],
+				transaction,
+			});
+		});
+	} catch (error) {
+		console.error('Error replacing fireboard reactions:', error);
+		return reactions;
+	}
+};
+
+module.exports.deleteReactions = async (messageId) => {
+	try {
+		await FireboardReaction.destroy({
+			where: { messageId },
+		});
+		return true;
+	} catch (error) {
+		console.error('Error deleting fireboard reactions:', error);
+		return false;
+	}
+};
+
+module.exports.addExclusion = async (type, targetId, createdBy = null, reason = null) => {
+	try {
+		const [exclusion, created] = await FireboardExclusion.findOrCreate({
+			where: { type, targetId },
+			defaults: { type, targetId, createdBy, reason },
+		});
+		return { exclusion, created };
+	} catch (error) {
+		console.error('Error adding fireboard exclusion:', error);
+		return { exclusion: null, created: false };
+	}
+};
+
+module.exports.removeExclusion = async (type, targetId) => {
+	try {
+		return await FireboardExclusion.destroy({ where: { type, targetId } }) > 0;
+	} catch (error) {
+		console.error('Error removing fireboard exclusion:', error);
+		return false;
+	}
+};
+
+module.exports.getExclusions = async (type = null) => {
+	try {
+		return await FireboardExclusion.findAll({
+			where: type ? { type } : {},
+			order: [['type', 'ASC'], ['createdAt', 'DESC']],
+		});
+	} catch (error) {
+		console.error('Error getting fireboard exclusions:', error);
+		return [];
+	}
+};
+
+// First exclusion that keeps a message off the boards, if any. Pass a thread's parent channel too,
+// so excluding a channel also covers its threads.
+module.exports.findExclusion = async ({ messageId, channelIds = [], authorId = null }) => {
+	try {
+		const conditions = [{ type: 'message', targetId: messageId }];
+		if (channelIds.length > 0) conditions.push({ type: 'channel', targetId: { [Op.in]: channelIds } });
+		if (authorId) conditions.push({ type: 'user', targetId: authorId });
+
+		return await FireboardExclusion.findOne({
+			where: { [Op.or]: conditions },
+			// Message exclusions take priority, as they also remove existing entries
+			order: [[literal('type = \'message\''), 'DESC']],
+		});
+	} catch (error) {
+		console.error('Error checking fireboard exclusions:', error);
+		return null;
+	}
+};
+
+// Notifications are opt-in, so users without a stored setting get none
+module.exports.getNotificationsEnabled = async (userId) => {
+	try {
+		const setting = await FireboardNotificationSetting.findByPk(userId);
+		return setting?.enabled ?? false;
+	} catch (error) {
+		console.error('Error getting fireboard notification setting:', error);
+		return false;
+	}
+};
+
+module.exports.setNotificationsEnabled = async (userId, enabled) => {
+	try {
+		await FireboardNotificationSetting.upsert({ userId, enabled });
+		return true;
+	} catch (error) {
+		console.error('Error setting fireboard notification setting:', error);
+		return false;
+	}
+};
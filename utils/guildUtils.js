@@ -1,4 +1,8 @@
+const { ChannelType, DiscordAPIError, PermissionFlagsBits, RESTJSONErrorCodes, SnowflakeUtil } = require('discord.js');
 const { discordGuildId } = require('../config.js');
+const { getFireboardBoard } = require('./configUtils');
+
+const MEMBER_FETCH_LIMIT = 100;
 
 module.exports.fetchChannel = async function(client, channelId) {
 	const guild = client.guilds.cache.get(discordGuildId);
@@ -11,6 +15,14 @@ module.exports.fetchChannel = async function(client, channelId) {
 	}
 };
 
+// Discord errors that mean the message or its channel no longer exists
+function isGoneError(error) {
+	return error instanceof DiscordAPIError &&
+		[RESTJSONErrorCodes.UnknownMessage, RESTJSONErrorCodes.UnknownChannel].includes(error.code);
+}
+
+// Resolves with null only when the message is gone. Anything else (an outage, a timeout, lost access)
+// is thrown, as the message may well still exist and callers must not treat it as deleted.
 module.exports.fetchMessage = async function(client, channelId, messageId) {
 	const guild = client.guilds.cache.get(discordGuildId);
 	let channel = await module.exports.fetchChannel(client, channelId);
@@ -25,32 +37,35 @@ module.exports.fetchMessage = async function(client, channelId, messageId) {
 				message = await cacheChannel.messages.fetch(messageId);
 				channel = cacheChannel; // Set channel if found
 				console.log(`Searched and found message ${messageId} in channel ${cacheChannel.id}`);
-			// eslint-disable-next-line no-unused-vars
+				break;
 			} catch (error) {
-				// Message not in this channel, continue
+				// Message not in this channel or channel not readable, continue. Outages abort the search.
+				if (!(error instanceof DiscordAPIError) || error.status === 429 || error.status >= 500) throw error;
 			}
 		}
-	}
-
-	try {
-		if (!message) {message = await channel.messages.fetch(messageId);}
 
 		if (!message) {
-			console.error(`Message with ID ${messageId} not found in channel ${channelId}.`);
+			console.error(`Message with ID ${messageId} not found in any channel.`);
 			return null;
 		}
+	}
 
-		if (message.partial) await message.fetch();
-
-		for (const [, reaction] of message.reactions.cache) {
-			if (reaction.partial) {await reaction.fetch();}
-		}
-
-		return message;
+	try {
+		if (!message) message = await channel.messages.fetch(messageId);
 	} catch (error) {
-		console.error(`Message with ID ${messageId} not found in any channel or could not be fetched.`, error);
+		if (!isGoneError(error)) throw error;
+
+		console.error(`Message with ID ${messageId} not found in channel ${channelId}.`);
 		return null;
 	}
+
+	if (message.partial) await message.fetch();
+
+	for (const [, reaction] of message.reactions.cache) {
+		if (reaction.partial) {await reaction.fetch();}
+	}
+
+	return message;
 };
 
 module.exports.fetchAuthorNickname = async function(client, authorId) {
@@ -63,4 +78,98 @@ module.exports.fetchAuthorNickname = async function(client, authorId) {
 		console.error(`Error fetching member ${authorId}:`, error);
 		return null;
 	}
-};
\ No newline at end of file
+};
+
+module.exports.createMessageLink = function(channelId, messageId) {
+	return `https://discord.com/channels/${discordGuildId}/${channelId}/${messageId}`;
+};
+
+// Link to an entry's original message. Older entries may not have a channel ID and archived ones have
+// no original left, so those link to the board post instead.
+module.exports.createEntryLink = function(entry) {
+	return entry.channelId && !entry.sourceDeletedAt
+		? module.exports.createMessageLink(entry.channelId, entry.messageId)
+		: module.exports.createMessageLink(getFireboardBoard(entry.boardId)?.channelId, entry.fireboardMessageId);
+};
+
+// Finds the first message link in a piece of text
+module.exports.parseMessageLink = function(text) {
+	const match = text?.match(/discord(?:app)?\.com\/channels\/(\d+)\/(\d+)\/(\d+)/);
+	return match ? { guildId: match[1], channelId: match[2], messageId: match[3] } : null;
+};
+
+// Reads a message link or a bare message ID typed into a command option. The channel is only known from a link.
+module.exports.parseMessageInput = function(value) {
+	const link = module.exports.parseMessageLink(value);
+	if (link) return { channelId: link.channelId, messageId: link.messageId };
+
+	const messageId = value?.trim();
+	return /^\d{17,20}$/.test(messageId) ? { channelId: null, messageId } : null;
+};
+
+// Text channels whose history the bot is able to read
+module.exports.fetchReadableTextChannels = function(client) {
+	const guild = client.guilds.cache.get(discordGuildId);
+
+	return guild.channels.cache.filter(channel =>
+		[ChannelType.GuildText, ChannelType.GuildAnnouncement].includes(channel.type) &&
+		channel.viewable &&
+		channel.permissionsFor(guild.members.me)?.has(PermissionFlagsBits.ReadMessageHistory));
+};
+
+// Walks a channel's history oldest-first, starting from the given time
+module.exports.iterateMessagesSince = async function*(channel, since, afterId = null) {
+	// Resuming from a message ID avoids skipping messages sent in the same millisecond
+	let after = afterId ?? SnowflakeUtil.generate({ timestamp: since }).toString();
+
+	while (true) {
+		const page = await channel.messages.fetch({ limit: 100, after, cache: false });
+		if (page.size === 0) return;
+
+		// Pages fetched with `after` still come back newest-first. Sort by ID, as messages sent in the
+		// same millisecond share a timestamp and the last one is where the next page starts.
+		const messages = Array.from(page.values()).sort((a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1));
+		for (const message of messages) yield message;
+
+		if (page.size < 100) return;
+		after = messages[messages.length - 1].id;
+	}
+};
+
+// A webhook owned by the bot in the channel, created if there isn't one yet. Needs Manage Webhooks.
+module.exports.fetchOwnWebhook = async function(channel) {
+	const webhooks = await channel.fetchWebhooks();
+	const webhook = webhooks.find(w => w.owner?.id === channel.client.user.id && w.token);
+	if (webhook) return webhook;
+
+	return channel.createWebhook({
+		name: channel.client.user.username,
+		avatar: channel.client.user.displayAvatarURL(),
+		reason: 'Fireboard posts in the name of the original author',
+	});
+};
+
+// Plain voter details used by the fireboard's voter rules; users who left the server have no join time or roles
+module.exports.fetchVoters = async function(client, userIds) {
+	const guild = client.guilds.cache.get(discordGuildId);
+	const voters = new Map();
+
+	// The gateway takes at most 100 user IDs per member request
+	const missingIds = userIds.filter(id => !guild.members.cache.has(id));
+	for (let i = 0; i < missingIds.length; i += MEMBER_FETCH_LIMIT) {
+		try {
+			await guild.members.fetch({ user: missingIds.slice(i, i + MEMBER_FETCH_LIMIT) });
+		} catch (error) {
+			console.error('Error fetching voting members:', error);
+		}
+	}
+
+	for (const userId of userIds) {
+		const member = guild.members.cache.get(userId);
+		voters.set(userId, member
+			? { bot: member.user.bot, joinedTimestamp: member.joinedTimestamp, roleIds: Array.from(member.roles.cache.keys()) }
+			: { bot: client.users.cache.get(userId)?.bot ?? false, joinedTimestamp: null, roleIds: [] });
+	}
+
+	return voters;
+};
@@ -0,0 +1,14 @@
+const { PermissionFlagsBits } = require('discord.js');
+
+// Commands check these even when their default member permissions require the same, since server
+// admins can hand a command to other roles
+
+// Moderators are members who can manage other people's messages
+module.exports.isModerator = function(member) {
+	return member?.permissions?.has(PermissionFlagsBits.ManageMessages) ?? false;
+};
+
+// Reaction role panels hand out roles, so managing them takes the same permission as managing roles
+module.exports.canManageRoles = function(member) {
+	return member?.permissions?.has(PermissionFlagsBits.ManageRoles) ?? false;
+};
@@ -0,0 +1,112 @@
+const { Op } = require('sequelize');
+const { sequelize, ReactionRolePanel, ReactionRoleMapping, RoleCountSnapshot } = require('../database');
+
+module.exports.createPanel = async (name, fields) => {
+	try {
+		const [panel, created] = await ReactionRolePanel.findOrCreate({
+			where: { name },
+			defaults: { name, ...fields },
+		});
+		return { panel, created };
+	} catch (error) {
+		console.error('Error creating reaction role panel:', error);
+		return { panel: null, created: false };
+	}
+};
+
+module.exports.getPanel = async (name) => {
+	try {
+		return await ReactionRolePanel.findOne({ where: { name } });
+	} catch (error) {
+		console.error('Error getting reaction role panel:', error);
+		return null;
+	}
+};
+
+module.exports.getPanels = async () => {
+	try {
+		return await ReactionRolePanel.findAll({ order: [['name', 'ASC']] });
+	} catch (error) {
+		console.error('Error getting reaction role panels:', error);
+		return [];
+	}
+};
+
+module.exports.updatePanel = async (panelId, updates) => {
+	try {
+		await ReactionRolePanel.update(updates, { where: { id: panelId } });
+		return true;
+	} catch (error) {
+		console.error('Error updating reaction role panel:', error);
+		return false;
+	}
+};
+
+// Removes a panel together with its mappings
+module.exports.deletePanel = async (panel) => {
+	try {
+		await sequelize.transaction(async (transaction) => {
+			await ReactionRoleMapping.destroy({ where: { panelId: panel.id }, transaction });
+			await panel.destroy({ transaction });
+		});
+		return true;
+	} catch (error) {
+		console.error('Error deleting reaction role panel:', error);
+		return false;
+	}
+};
+
+// In the order they were added, which is the order they're shown on the panel
+module.exports.getMappings = async (panelId) => {
+	try {
+		return await ReactionRoleMapping.findAll({
+			where: { panelId },
+			order: [['id', 'ASC']],
+		});
+	} catch (error) {
+		console.error('Error getting reaction role mappings:', error);
+		return [];
+	}
+};
+
+module.exports.addMapping = async (panelId, emoji, roleId, description = null, requiredRoleId = null, durationMinutes = null) => {
+	try {
+		return await ReactionRoleMapping.create({ panelId, emoji, roleId, description, requiredRoleId, durationMinutes });
+	} catch (error) {
+		console.error('Error adding reaction role mapping:', error);
+		return null;
+	}
+};
+
+module.exports.removeMapping = async (panelId, roleId) => {
+	try {
+		return await ReactionRoleMapping.destroy({ where: { panelId, roleId } }) > 0;
+	} catch (error) {
+		console.error('Error removing reaction role mapping:', error);
+		return false;
+	}
+};
+
+// Stores a count per role, given as a Map of role ID -> member count
+module.exports.addRoleCountSnapshots = async (takenAt, counts) => {
+	try {
+		await RoleCountSnapshot.bulkCreate([...counts].map(([roleId, memberCount]) => ({ roleId, memberCount, takenAt })));
+		return true;
+	} catch (error) {
+		console.error('Error saving role count snapshots:', error);
+		return false;
+	}
+};
+
+// Snapshots of the given roles taken at or after `since`, oldest first
+module.exports.getRoleCountSnapshots = async (roleIds, since) => {
+	try {
+		return await RoleCountSnapshot.findAll({
+			where: { roleId: { [Op.in]: roleIds }, takenAt: { [Op.gte]: since } },
+			order: [['takenAt', 'ASC']],
+		});
+	} catch (error) {
+		console.error('Error getting role count snapshots:', error);
+		return [];
+	}
+};
@@ -1,49 +1,163 @@
-const { fireboardSettings } = require('../config.js');
-
-module.exports.calculateValidReactions = async function(message) {
-	const messageValidReactions = [];
-	const userReactionMap = new Map(); // Track which users have already been counted
-
-	// First pass: collect all valid reactions and their users
-	const validReactionData = [];
-	for (const [emoji, reaction] of message.reactions.cache) {
-		if (fireboardSettings.validReactions.includes(emoji)) {
-			await reaction.users.fetch();
-			validReactionData.push({
-				emoji: emoji,
-				reaction: reaction,
-				users: Array.from(reaction.users.cache.values()),
-			});
+const { SnowflakeUtil } = require('discord.js');
+const { getFireboardBoards } = require('./configUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Resolves a reaction's emoji key (name for unicode, ID for custom emojis) to its configured valid
+// reaction, checking every board unless one is given
+module.exports.findValidReaction = function(emojiKey, board = null) {
+	const boards = board ? [board] : getFireboardBoards().filter(b => b.enabled);
+
+	for (const { validReactions } of boards) {
+		const validReaction = validReactions.find(valid => module.exports.emojisMatch(valid, emojiKey));
+		if (validReaction) return validReaction;
+	}
+
+	return undefined;
+};
+
+module.exports.getEmojiKey = function(emoji) {
+	return emoji.id ?? emoji.name;
+};
+
+// Reaction user fetches are capped at 100 per request, so page through with `after`
+module.exports.fetchAllReactionUsers = async function(reaction) {
+	const users = [];
+	let after;
+
+	while (true) {
+		const page = await reaction.users.fetch({ limit: 100, after });
+		users.push(...page.values());
+
+		if (page.size < 100) break;
+		after = page.lastKey();
+	}
+
+	return users;
+};
+
+module.exports.fetchReactionLedger = async function(message) {
+	const ledger = [];
+
+	for (const [emojiKey, reaction] of message.reactions.cache) {
+		const emoji = module.exports.findValidReaction(emojiKey);
+		if (!emoji) continue;
+
+		const users = await module.exports.fetchAllReactionUsers(reaction);
+		for (const user of users) {
+			// Discord doesn't expose when a reaction was added, so fall back to the message time
+			ledger.push({ userId: user.id, emoji, reactedAt: message.createdAt });
 		}
 	}
 
-	// Second pass: count only the first valid reaction per user
-	for (const reactionData of validReactionData) {
-		let count = 0;
-
-		for (const user of reactionData.users) {
-			// Skip if user is the message author and we're excluding author reactions
-			if (fireboardSettings.excludeAuthorReactions &&
-                message.author &&
-                user.id === message.author.id) {
-				continue;
-			}
-
-			// Only count this reaction if the user hasn't been counted yet
-			if (!userReactionMap.has(user.id)) {
-				userReactionMap.set(user.id, reactionData.emoji);
-				count++;
-			}
+	return ledger;
+};
+
+// Checks whether a stored ledger agrees with the reaction counts Discord reports on the message.
+// Only normal reactions are compared, as super reactions aren't included when fetching reactors.
+module.exports.ledgerMatchesMessage = function(ledger, message) {
+	for (const [emojiKey, reaction] of message.reactions.cache) {
+		const emoji = module.exports.findValidReaction(emojiKey);
+		if (!emoji) continue;
+
+		const ledgerCount = ledger.filter(r => r.emoji === emoji).length;
+		if (ledgerCount !== reaction.countDetails.normal) return false;
+	}
+
+	const messageEmojis = new Set(Array.from(message.reactions.cache.keys()).map(emojiKey => module.exports.findValidReaction(emojiKey)));
+	return ledger.every(r => messageEmojis.has(r.emoji));
+};
+
+module.exports.isEligibleVoter = function(userId, voter, rules) {
+	if (rules.blockedUsers.includes(userId)) return false;
+	if (rules.ignoreBots && voter?.bot) return false;
+
+	// Account age is encoded in the user ID, so this works for users who left the server too
+	if (rules.minAccountAgeDays > 0 && Date.now() - SnowflakeUtil.timestampFrom(userId) < rules.minAccountAgeDays * DAY_MS) return false;
+
+	const roleIds = voter?.roleIds ?? [];
+	if (rules.excludedRoles.some(roleId => roleIds.includes(roleId))) return false;
+
+	if (rules.minMemberDays > 0 || rules.requiredRoles.length > 0) {
+		if (!voter?.joinedTimestamp) return false; // Not in the server anymore
+		if (Date.now() - voter.joinedTimestamp < rules.minMemberDays * DAY_MS) return false;
+		if (rules.requiredRoles.length > 0 && !rules.requiredRoles.some(roleId => roleIds.includes(roleId))) return false;
+	}
+
+	return true;
+};
+
+module.exports.getEmojiWeight = function(board, emoji) {
+	const weight = Object.entries(board.emojiWeights).find(([weightedEmoji]) => module.exports.emojisMatch(weightedEmoji, emoji));
+	return weight ? weight[1] : 1;
+};
+
+module.exports.getRoleMultiplier = function(board, voter) {
+	const roleIds = voter?.roleIds ?? [];
+	const multipliers = Object.entries(board.roleMultipliers)
+		.filter(([roleId]) => roleIds.includes(roleId))
+		.map(([, multiplier]) => multiplier);
+
+	return multipliers.length > 0 ? Math.max(...multipliers) : 1;
+};
+
+// The most a single reaction can be worth on a board, for cheap upper-bound checks
+module.exports.getMaxReactionWeight = function(board) {
+	return Math.max(1, ...Object.values(board.emojiWeights)) * Math.max(1, ...Object.values(board.roleMultipliers));
+};
+
+// Voters maps user IDs to details from fetchVoters; without it only the ID-based rules can apply
+module.exports.tallyValidReactions = function(ledger, authorId, board, voters = new Map()) {
+	const counts = new Map(); // Emoji -> { weighted count, number of voters }
+	const countedUsers = new Set(); // Track which users have already been counted
+
+	// Only the earliest of a user's reactions valid on this board counts
+	const orderedLedger = [...ledger].sort((a, b) => new Date(a.reactedAt) - new Date(b.reactedAt));
+
+	for (const { userId, emoji } of orderedLedger) {
+		const validReaction = module.exports.findValidReaction(emoji, board);
+		if (!validReaction) continue;
+
+		// Skip if user is the message author and we're excluding author reactions
+		if (board.excludeAuthorReactions &&
+            authorId &&
+            userId === authorId) {
+			continue;
 		}
 
-		if (count === 0) continue; // Skip if no valid reactions
-		messageValidReactions.push({
-			emoji: reactionData.emoji,
-			count: count,
-		});
+		if (countedUsers.has(userId)) continue;
+		countedUsers.add(userId);
+
+		const voter = voters.get(userId);
+		if (!module.exports.isEligibleVoter(userId, voter, board.voterRules)) continue;
+
+		const weight = module.exports.getEmojiWeight(board, validReaction) * module.exports.getRoleMultiplier(board, voter);
+		const count = counts.get(validReaction) ?? { count: 0, voters: 0 };
+		counts.set(validReaction, { count: count.count + weight, voters: count.voters + 1 });
 	}
 
-	return messageValidReactions;
+	return board.validReactions
+		.filter(emoji => counts.has(emoji))
+		.map(emoji => ({ emoji, ...counts.get(emoji) }));
+};
+
+module.exports.calculateValidReactions = async function(message, board, voters = new Map()) {
+	const ledger = await module.exports.fetchReactionLedger(message);
+	return module.exports.tallyValidReactions(ledger, message.author?.id, board, voters);
+};
+
+// Highest tier the count reaches, with its 1-based level; level 0 means no tier was reached
+module.exports.getTier = function(board, totalCount) {
+	const tiers = [...board.tiers].sort((a, b) => a.threshold - b.threshold);
+
+	let level = 0;
+	while (level < tiers.length && totalCount >= tiers[level].threshold) level++;
+
+	return {
+		level,
+		isTopTier: level > 0 && level === tiers.length,
+		...(level > 0 ? tiers[level - 1] : {}),
+	};
 };
 
 module.exports.calculateTotalCount = function(validReactions) {
@@ -51,7 +165,7 @@ module.exports.calculateTotalCount = function(validReactions) {
 };
 
 function extractEmojiId(emojiStr) {
-	const match = emojiStr.match(/<:.+?:(\d+)>/);
+	const match = emojiStr.match(/<a?:.+?:(\d+)>/);
 	return match ? match[1] : emojiStr;
 }
 
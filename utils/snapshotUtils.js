@@ -0,0 +1,66 @@
+const { MessageReferenceType, StickerFormatType } = require('discord.js');
+
+const REPLY_SNIPPET_LENGTH = 200;
+const EXCERPT_LENGTH = 200;
+
+async function createReplySnapshot(message) {
+	if (!message.reference || message.reference.type !== MessageReferenceType.Default) return null;
+
+	try {
+		const reply = await message.fetchReference();
+		return {
+			authorName: reply.member?.displayName ?? reply.author.displayName,
+			content: reply.content.length > REPLY_SNIPPET_LENGTH
+				? `${reply.content.slice(0, REPLY_SNIPPET_LENGTH)}…`
+				: reply.content,
+			hasAttachments: reply.attachments.size > 0,
+			url: reply.url,
+		};
+	// eslint-disable-next-line no-unused-vars
+	} catch (error) {
+		// Replied-to message was deleted
+		return null;
+	}
+}
+
+// Searchable start of the message content, stored next to the snapshot
+module.exports.createContentExcerpt = function(snapshot) {
+	return snapshot.content ? snapshot.content.slice(0, EXCERPT_LENGTH) : null;
+};
+
+// Plain JSON copy of the parts of a message that fireboard posts are rendered from, so a post can
+// be rendered the same way whether the source message is live or only stored on the entry.
+// A `storedReply` from an earlier snapshot is used instead of fetching the replied-to message.
+module.exports.createMessageSnapshot = async function(message, authorNickname, storedReply = null) {
+	return {
+		content: message.content,
+		authorId: message.author.id,
+		authorName: authorNickname || message.author.displayName,
+		authorAvatarURL: message.author.displayAvatarURL(),
+		channelId: message.channel.id,
+		channelName: message.channel.name,
+		url: message.url,
+		createdAt: message.createdTimestamp,
+		editedAt: message.editedTimestamp,
+		reply: storedReply ?? await createReplySnapshot(message),
+		attachments: Array.from(message.attachments.values(), attachment => ({
+			name: attachment.name,
+			url: attachment.url,
+			contentType: attachment.contentType,
+		})),
+		stickers: Array.from(message.stickers.values(), sticker => ({
+			name: sticker.name,
+			// Lottie stickers are animations Discord can't show inside an embed
+			url: sticker.format === StickerFormatType.Lottie ? null : sticker.url,
+		})),
+		// Link previews, e.g. tweets or YouTube videos
+		embeds: message.embeds.map(embed => ({
+			title: embed.title,
+			description: embed.description,
+			url: embed.url,
+			authorName: embed.author?.name ?? null,
+			providerName: embed.provider?.name ?? null,
+			imageURL: embed.image?.url ?? embed.thumbnail?.url ?? null,
+		})),
+	};
+};
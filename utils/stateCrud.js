@@ -0,0 +1,21 @@
+const { BotState } = require('../database');
+
+module.exports.getState = async (key, defaultValue = null) => {
+	try {
+		const state = await BotState.findByPk(key);
+		return state ? state.value : defaultValue;
+	} catch (error) {
+		console.error(`Error getting bot state ${key}:`, error);
+		return defaultValue;
+	}
+};
+
+module.exports.setState = async (key, value) => {
+	try {
+		await BotState.upsert({ key, value });
+		return true;
+	} catch (error) {
+		console.error(`Error setting bot state ${key}:`, error);
+		return false;
+	}
+};
@@ -0,0 +1,58 @@
+const { Op } = require('sequelize');
+const { TemporaryRole } = require('../database');
+
+// Gives a member's role an expiry, replacing any earlier one for the same role
+module.exports.setTemporaryRole = async (guildId, userId, roleId, expiresAt, panelId = null) => {
+	try {
+		const [temporaryRole, created] = await TemporaryRole.findOrCreate({
+			where: { userId, roleId },
+			defaults: { guildId, expiresAt, panelId },
+		});
+		if (!created) await temporaryRole.update({ guildId, expiresAt, panelId });
+		return temporaryRole;
+	} catch (error) {
+		console.error('Error saving temporary role:', error);
+		return null;
+	}
+};
+
+module.exports.removeTemporaryRole = async (userId, roleId) => {
+	try {
+		return await TemporaryRole.destroy({ where: { userId, roleId } }) > 0;
+	} catch (error) {
+		console.error('Error removing temporary role:', error);
+		return false;
+	}
+};
+
+module.exports.getTemporaryRoles = async () => {
+	try {
+		return await TemporaryRole.findAll({ order: [['expiresAt', 'ASC']] });
+	} catch (error) {
+		console.error('Error getting temporary roles:', error);
+		return [];
+	}
+};
+
+module.exports.getExpiredTemporaryRoles = async (now) => {
+	try {
+		return await TemporaryRole.findAll({
+			where: { expiresAt: { [Op.lte]: now } },
+			order: [['expiresAt', 'ASC']],
+		});
+	} catch (error) {
+		console.error('Error getting expired temporary roles:', error);
+		return [];
+	}
+};
+
+// IDs of the members whose copy of a role is due to expire
+module.exports.getTemporaryRoleHolders = async (roleId) => {
+	try {
+		const temporaryRoles = await TemporaryRole.findAll({ where: { roleId }, attributes: ['userId'] });
+		return temporaryRoles.map(temporaryRole => temporaryRole.userId);
+	} catch (error) {
+		console.error('Error getting temporary role holders:', error);
+		return [];
+	}
+};